@@ -1,364 +1,757 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { 
-  BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, 
-  PieChart, Pie, Cell
-} from 'recharts';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useRef, useMemo, useDeferredValue } from 'react';
 import _ from 'lodash';
+import { describeDateFormat, DATE_ORDERS } from './parsing/dateFormat';
+import { readWhatsAppZip, revokeMedia } from './parsing/zipArchive';
+import { createAnalyzer, isCancelled } from './workers/analyzerClient';
+import ChatTranscript from './components/ChatTranscript';
+import ChatLibrary from './components/ChatLibrary';
+import ParticipantSettings from './components/ParticipantSettings';
+import StatisticsTab from './components/StatisticsTab';
+import StatsFilterBar from './components/StatsFilterBar';
+import ConversationCards from './components/ConversationCards';
+import InteractionNetwork from './components/InteractionNetwork';
+import GroupEvents from './components/GroupEvents';
+import WordSettings from './components/WordSettings';
+import ExportMenu from './components/ExportMenu';
+import TimeZoneSelect from './components/TimeZoneSelect';
+import ImportReport from './components/ImportReport';
+import ColumnMapping from './components/ColumnMapping';
+import ChatComparison from './components/ChatComparison';
+import PrivacySettings from './components/PrivacySettings';
+import ParticipantProfile from './components/ParticipantProfile';
+import LinkGallery from './components/LinkGallery';
+import { parseQuery, isEmptyQuery, matchesQuery, QUERY_HELP } from './search/chatQuery';
+import {
+  isStorageAvailable, listChats, saveChat, loadChat, loadChatStats, renameChat, deleteChat, updateChat,
+  chatNameFromFile
+} from './storage/chatLibrary';
+import { listPresets, savePreset, deletePreset } from './storage/mappingPresets';
+import {
+  defaultParticipantSettings, applyParticipantSettings, countRawSenders, buildSenderColors, getDisplayName
+} from './analytics/participants';
+import { defaultStatsFilters, isFilterActive, filterRows, filterQuery } from './analytics/statsFilters';
+import { DEFAULT_SESSION_GAP_MINUTES } from './analytics/conversationStats';
+import { defaultTextSettings } from './analytics/textProcessing';
+import { localTimeZone } from './parsing/timeZones';
+import { buildComparison } from './analytics/chatComparison';
+import {
+  defaultPrivacySettings, anonymizeRows, anonymizeEvents, maskChatNames, anonymizeComparedChats
+} from './analytics/privacy';
+import { buildMembership } from './analytics/membership';
 
 // Main WhatsApp Analyzer App
 const WhatsAppAnalyzer = () => {
   const [activeTab, setActiveTab] = useState('upload');
-  const [chatData, setChatData] = useState([]);
+  const [rawChatData, setRawChatData] = useState([]);
+  // Group events (joins, leaves, subject changes) with the imported names
+  const [groupEvents, setGroupEvents] = useState([]);
+  const [participantSettings, setParticipantSettings] = useState(defaultParticipantSettings());
+  const [showParticipants, setShowParticipants] = useState(false);
   const [stats, setStats] = useState(null);
+  const [statsFilters, setStatsFilters] = useState(defaultStatsFilters());
+  const [filteredStats, setFilteredStats] = useState(null);
+  const [statsUpdating, setStatsUpdating] = useState(false);
+  const [sessionGap, setSessionGap] = useState(DEFAULT_SESSION_GAP_MINUTES);
+  const [conversationStats, setConversationStats] = useState(null);
+  const [textSettings, setTextSettings] = useState(defaultTextSettings());
+  const [showWordSettings, setShowWordSettings] = useState(false);
+  // Privacy mode stays on across chats and page reloads, e.g. during a demo
+  const [privacy, setPrivacy] = useState(
+    () => JSON.parse(localStorage.getItem('privacySettings')) || defaultPrivacySettings()
+  );
+  const [showPrivacy, setShowPrivacy] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
+  const [currentHit, setCurrentHit] = useState(-1);
   const [loading, setLoading] = useState(false);
   const [fileUploaded, setFileUploaded] = useState(false);
   const [error, setError] = useState('');
-  const chatEndRef = useRef(null);
+  const [media, setMedia] = useState({});
+  const [pendingImport, setPendingImport] = useState(null);
+  const [appendImport, setAppendImport] = useState(false);
+  const [mappingPresets, setMappingPresets] = useState(listPresets);
+  const [dateFormat, setDateFormat] = useState(null);
+  const [sourceTimeZone, setSourceTimeZone] = useState(localTimeZone());
+  // { source, display, dateFormat } of the loaded chat
+  const [timeSettings, setTimeSettings] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [library, setLibrary] = useState([]);
+  const [currentChatId, setCurrentChatId] = useState(null);
+  const [comparedIds, setComparedIds] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  // The participant whose profile is open, and their computed profile
+  const [profileSender, setProfileSender] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const transcriptRef = useRef(null);
+  const reportRef = useRef(null);
   const fileInputRef = useRef(null);
+  const analyzerRef = useRef(null);
+  const cancelCountRef = useRef(0);
 
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // Parsing and stats run in a Web Worker, created on first use
+  const getAnalyzer = () => {
+    if (!analyzerRef.current) {
+      analyzerRef.current = createAnalyzer();
+    }
+    return analyzerRef.current;
+  };
 
+  const runInWorker = async (type, payload) => {
     setLoading(true);
-    setError('');
-
-    // Check if file is a CSV
-    if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-      setError('Please upload a CSV file.');
+    setProgress(null);
+    try {
+      return await getAnalyzer().request(type, payload, setProgress);
+    } finally {
       setLoading(false);
-      return;
+      setProgress(null);
     }
+  };
 
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      const csvContent = e.target.result;
-      
-      try {
-        Papa.parse(csvContent, {
-          header: true,
-          skipEmptyLines: true,
-          encoding: 'utf8',
-          complete: (results) => {
-            // Check if the CSV has the required columns
-            const requiredColumns = ['datetime', 'date', 'time', 'hour', 'weekday', 'sender', 'message'];
-            const headers = results.meta.fields;
-            
-            const missingColumns = requiredColumns.filter(col => !headers.includes(col));
-            
-            if (missingColumns.length > 0) {
-              setError(`CSV is missing required columns: ${missingColumns.join(', ')}`);
-              setLoading(false);
-              return;
-            }
-            
-            const parsedData = results.data.map(row => ({
-              ...row,
-              datetime: new Date(parseDate(row.date, row.time))
-            })).sort((a, b) => a.datetime - b.datetime);
-            
-            setChatData(parsedData);
-            calculateStats(parsedData);
-            setFileUploaded(true);
-            setLoading(false);
-            // Switch to chat tab after successful upload
-            setActiveTab('chat');
-          },
-          error: (error) => {
-            setError(`Error parsing CSV: ${error.message}`);
-            setLoading(false);
+  const handleWorkerError = (error, prefix) => {
+    if (isCancelled(error)) return;
+    setError(prefix ? `${prefix}: ${error.message}` : error.message);
+  };
+
+  // Stops the worker mid-task; the file has to be uploaded again afterwards
+  const cancelProcessing = () => {
+    cancelCountRef.current++;
+    if (analyzerRef.current) {
+      analyzerRef.current.terminate();
+      analyzerRef.current = null;
+    }
+    if (pendingImport) {
+      revokeMedia(pendingImport.media);
+      setPendingImport(null);
+    }
+    setLoading(false);
+    setProgress(null);
+  };
+
+  useEffect(() => () => {
+    if (analyzerRef.current) {
+      analyzerRef.current.terminate();
+    }
+  }, []);
+
+  // settings holds the chat's saved participantSettings, textSettings and
+  // timeSettings; missing ones (e.g. in older saved chats) use the defaults
+  const loadChatData = (rows, chatStats, mediaFiles = {}, settings = {}, events = []) => {
+    revokeMedia(media);
+    setMedia(mediaFiles);
+    setRawChatData(rows);
+    setGroupEvents(events);
+    setParticipantSettings(settings.participantSettings || defaultParticipantSettings());
+    setShowParticipants(false);
+    setProfileSender(null);
+    setStats(chatStats);
+    setStatsFilters(defaultStatsFilters());
+    setTextSettings(settings.textSettings || defaultTextSettings());
+    setShowWordSettings(false);
+    // Chats saved before time zones were kept show their times in the browser's zone
+    setTimeSettings(settings.timeSettings || { source: null, display: localTimeZone(), dateFormat: null });
+    setFileUploaded(true);
+    // Switch to chat tab after successful upload
+    setActiveTab('chat');
+  };
+
+  // Parses the file in the worker, which also scans it for its date format.
+  // The import then waits on the review screen for the user to confirm the format.
+  // When appending, the new export is assumed to come from the same phone as the chat
+  const prepareImport = async (payload, name, mediaFiles = {}) => {
+    const append = appendImport && fileUploaded;
+    const source = append && timeSettings.source ? timeSettings.source : sourceTimeZone;
+    setSourceTimeZone(source);
+    try {
+      const timeZones = { source, display: source };
+      const { source: fileSource, detection, preview } = await runInWorker(
+        'parse',
+        { ...payload, timeZones, presets: mappingPresets }
+      );
+      setPendingImport({ name, media: mediaFiles, source: fileSource, detection, preview, append, merge: null });
+      setDateFormat(detection && detection.format);
+    } catch (error) {
+      revokeMedia(mediaFiles);
+      handleWorkerError(error, 'Failed to process the file');
+    }
+  };
+
+  const updatePreview = async (format, timeZone) => {
+    setDateFormat(format);
+    setSourceTimeZone(timeZone);
+    try {
+      const preview = await runInWorker('preview', { format, timeZones: { source: timeZone, display: timeZone } });
+      setPendingImport(current => current && { ...current, preview, merge: null });
+    } catch (error) {
+      handleWorkerError(error);
+    }
+  };
+
+  const updateMapping = async (mapping, preset = null) => {
+    try {
+      const timeZones = { source: sourceTimeZone, display: sourceTimeZone };
+      const { source: fileSource, detection, preview } = await runInWorker('mapColumns', { mapping, preset, timeZones });
+      setPendingImport(current => current && { ...current, source: fileSource, detection, preview, merge: null });
+      setDateFormat(detection && detection.format);
+    } catch (error) {
+      handleWorkerError(error, 'Failed to map the columns');
+    }
+  };
+
+  const saveMappingPreset = (name, mapping) => {
+    setMappingPresets(savePreset(name, mapping));
+    setPendingImport(current => current && { ...current, source: { ...current.source, preset: name } });
+  };
+
+  // Times are shown in the export's own time zone until the user picks another one
+  const confirmImport = async () => {
+    try {
+      const timeZones = { source: sourceTimeZone, display: sourceTimeZone };
+      const { rows, stats: chatStats, events } = await runInWorker('analyze', { format: dateFormat, timeZones });
+      const { name, media: mediaFiles } = pendingImport;
+      const importTimeSettings = { ...timeZones, dateFormat };
+      setPendingImport(null);
+      loadChatData(rows, chatStats, mediaFiles, { timeSettings: importTimeSettings }, events);
+      persistChat({ name, rows, stats: chatStats, events, media: mediaFiles, timeSettings: importTimeSettings });
+    } catch (error) {
+      handleWorkerError(error);
+    }
+  };
+
+  // Compares the pending import with the open chat; nothing changes until commitMerge
+  const checkMerge = async () => {
+    try {
+      const merge = await runInWorker('merge', {
+        existing: rawChatData,
+        existingEvents: groupEvents,
+        format: dateFormat,
+        timeZones: { source: sourceTimeZone, display: sourceTimeZone },
+        display: { timeZone: timeSettings.display, dateFormat: timeSettings.dateFormat }
+      });
+      setPendingImport(current => current && { ...current, merge });
+    } catch (error) {
+      handleWorkerError(error, 'Failed to compare with the current chat');
+    }
+  };
+
+  const commitMerge = async () => {
+    const { rows, events } = pendingImport.merge;
+    const mediaFiles = { ...media, ...pendingImport.media };
+    try {
+      const mergedRows = applyParticipantSettings(rows, participantSettings);
+      const chatStats = await runInWorker('stats', { rows: mergedRows, textSettings });
+      setPendingImport(null);
+      setMedia(mediaFiles);
+      setRawChatData(rows);
+      setGroupEvents(events);
+      setStats(chatStats);
+      setStatsFilters(defaultStatsFilters());
+      setActiveTab('chat');
+
+      if (currentChatId) {
+        const summary = await updateChat(
+          currentChatId,
+          { rows, events, stats: chatStats, media: mediaFiles },
+          {
+            messageCount: rows.length,
+            participantCount: new Set(mergedRows.map(row => row.sender)).size,
+            startDate: rows.length > 0 ? rows[0].datetime : null,
+            endDate: rows.length > 0 ? rows[rows.length - 1].datetime : null
           }
-        });
-      } catch (error) {
-        setError(`Failed to process the file: ${error.message}`);
-        setLoading(false);
+        );
+        setLibrary(current => current.map(chat => (chat.id === summary.id ? summary : chat)));
       }
-    };
-    
-    reader.onerror = () => {
-      setError('Failed to read the file.');
-      setLoading(false);
-    };
-    
-    reader.readAsText(file);
+    } catch (error) {
+      handleWorkerError(error, 'Failed to merge the chats');
+    }
   };
 
-  const parseDate = (dateStr, timeStr) => {
-    if (!dateStr) return null;
-    
-    // Try to handle different date formats
-    let dateParts;
-    if (dateStr.includes('/')) {
-      dateParts = dateStr.split('/');
-    } else if (dateStr.includes('-')) {
-      dateParts = dateStr.split('-');
+  const cancelImport = () => {
+    revokeMedia(pendingImport.media);
+    setPendingImport(null);
+  };
+
+  // Chat library (IndexedDB)
+  const rememberCurrentChat = (id) => {
+    setCurrentChatId(id);
+    if (id) {
+      localStorage.setItem('lastChatId', id);
     } else {
-      return new Date(); // Fallback to current date if format is unknown
+      localStorage.removeItem('lastChatId');
     }
-    
-    if (dateParts.length !== 3) return new Date();
-    
-    // Handle both DD/MM/YYYY and MM/DD/YYYY formats
-    // This is a simple heuristic - for a production app, more robust date parsing would be needed
-    let day, month, year;
-    
-    // Try to determine which format is used
-    if (parseInt(dateParts[0]) > 12) {
-      // Likely DD/MM/YYYY
-      day = parseInt(dateParts[0], 10);
-      month = parseInt(dateParts[1], 10) - 1; // JavaScript months are 0-indexed
-      year = parseInt(dateParts[2], 10);
-    } else {
-      // Could be MM/DD/YYYY or DD/MM/YYYY, default to DD/MM/YYYY
-      day = parseInt(dateParts[0], 10);
-      month = parseInt(dateParts[1], 10) - 1;
-      year = parseInt(dateParts[2], 10);
-      
-      // If year is too small, might be using different order
-      if (year < 100) {
-        // Probably DD/MM/YY or MM/DD/YY
-        year += 2000; // Assume 20xx for 2-digit years
-      }
+  };
+
+  const persistChat = async (chat) => {
+    if (!isStorageAvailable()) return;
+    try {
+      const summary = await saveChat(chat);
+      setLibrary(current => [summary, ...current]);
+      rememberCurrentChat(summary.id);
+    } catch (error) {
+      setError(`The chat could not be saved in this browser: ${error.message}`);
     }
-    
-    let hours = 0, minutes = 0;
-    if (timeStr) {
-      const timeParts = timeStr.split(':');
-      if (timeParts.length >= 2) {
-        hours = parseInt(timeParts[0], 10);
-        minutes = parseInt(timeParts[1], 10);
-      }
+  };
+
+  const openChat = async (id) => {
+    setError('');
+    try {
+      const chat = await loadChat(id);
+      loadChatData(chat.rows, chat.stats, chat.media, chat, chat.events);
+      rememberCurrentChat(id);
+    } catch (error) {
+      setError(`Failed to open the chat: ${error.message}`);
     }
-    
-    return new Date(year, month, day, hours, minutes);
   };
 
-  const calculateStats = (data) => {
-    if (!data || data.length === 0) return;
-    
-    // Get unique senders
-    const uniqueSenders = [...new Set(data.map(row => row.sender))];
-    
-    // Message count by sender
-    const messageCountBySender = {};
-    uniqueSenders.forEach(sender => {
-      messageCountBySender[sender] = data.filter(row => row.sender === sender).length;
-    });
-    
-    // Word count by sender
-    const wordCountBySender = {};
-    uniqueSenders.forEach(sender => {
-      const messages = data.filter(row => row.sender === sender).map(row => row.message);
-      const wordCount = messages.reduce((total, message) => {
-        if (!message) return total;
-        return total + message.split(/\s+/).filter(word => word.length > 0).length;
-      }, 0);
-      wordCountBySender[sender] = wordCount;
-    });
-    
-    // Message count by weekday
-    const messagesByWeekday = {
-      "Sunday": 0, "Monday": 0, "Tuesday": 0, "Wednesday": 0,
-      "Thursday": 0, "Friday": 0, "Saturday": 0
-    };
-    
-    // Count days per weekday for averages
-    const daysByWeekday = {
-      "Sunday": new Set(), "Monday": new Set(), "Tuesday": new Set(),
-      "Wednesday": new Set(), "Thursday": new Set(), "Friday": new Set(), "Saturday": new Set()
-    };
-    
-    data.forEach(row => {
-      const day = row.weekday;
-      if (messagesByWeekday.hasOwnProperty(day)) {
-        messagesByWeekday[day]++;
-        daysByWeekday[day].add(row.date);
+  // openChat of the latest render, so the mount effect below can reopen a
+  // chat without depending on every render's handlers
+  const openChatRef = useRef(openChat);
+  openChatRef.current = openChat;
+
+  const handleRenameChat = async (id, name) => {
+    try {
+      await renameChat(id, name);
+      setLibrary(current => current.map(chat => (chat.id === id ? { ...chat, name } : chat)));
+    } catch (error) {
+      setError(`Failed to rename the chat: ${error.message}`);
+    }
+  };
+
+  const handleDeleteChat = async (id) => {
+    try {
+      await deleteChat(id);
+      setLibrary(current => current.filter(chat => chat.id !== id));
+      setComparedIds(current => current.filter(comparedId => comparedId !== id));
+      if (id === currentChatId) {
+        rememberCurrentChat(null);
       }
-    });
-    
-    // Calculate average messages per weekday
-    const avgMessagesByWeekday = {};
-    Object.keys(messagesByWeekday).forEach(day => {
-      const daysCount = daysByWeekday[day].size;
-      avgMessagesByWeekday[day] = daysCount > 0 ? messagesByWeekday[day] / daysCount : 0;
-    });
-    
-    // Message count by hour
-    const messagesByHour = Array(24).fill(0);
-    data.forEach(row => {
-      const hour = parseInt(row.hour, 10);
-      if (!isNaN(hour) && hour >= 0 && hour < 24) {
-        messagesByHour[hour]++;
+    } catch (error) {
+      setError(`Failed to delete the chat: ${error.message}`);
+    }
+  };
+
+  // Privacy mode masks the names of saved chats too
+  const viewLibrary = useMemo(() => (privacy.enabled ? maskChatNames(library) : library), [privacy.enabled, library]);
+  const currentChat = viewLibrary.find(chat => chat.id === currentChatId);
+
+  // Participants: merged aliases and display names are applied to the rows
+  // themselves, so the transcript and every per-sender chart agree
+  const chatData = useMemo(
+    () => applyParticipantSettings(rawChatData, participantSettings),
+    [rawChatData, participantSettings]
+  );
+
+  const rawSenders = useMemo(() => countRawSenders(rawChatData), [rawChatData]);
+
+  const senderColors = useMemo(
+    () => buildSenderColors(rawSenders, participantSettings),
+    [rawSenders, participantSettings]
+  );
+
+  // Privacy mode: everything shown or exported uses the anonymized rows, and
+  // per-sender colors follow the pseudonyms
+  const privateView = useMemo(
+    () => (privacy.enabled ? anonymizeRows(chatData, privacy) : null),
+    [chatData, privacy]
+  );
+  const viewData = privateView ? privateView.rows : chatData;
+  const viewName = (name) => (privateView && privateView.pseudonyms[name]) || name;
+
+  const viewColors = useMemo(() => (
+    privateView
+      ? _.mapKeys(senderColors, (color, name) => privateView.pseudonyms[name] || name)
+      : senderColors
+  ), [privateView, senderColors]);
+
+  // Group events with the names shown in the chat: display names, "You" as
+  // the participant chosen as me, and pseudonyms in privacy mode
+  const viewEvents = useMemo(() => {
+    const me = participantSettings.me ? getDisplayName(participantSettings.me, participantSettings) : 'You';
+    const displayName = (name) => (name === 'You' ? me : getDisplayName(name, participantSettings));
+    const events = groupEvents.map(event => ({
+      ...event,
+      actor: displayName(event.actor),
+      targets: event.targets.map(displayName)
+    }));
+    return privateView ? anonymizeEvents(events, privateView.pseudonyms, privacy) : events;
+  }, [groupEvents, participantSettings, privateView, privacy]);
+
+  const outgoingSender = participantSettings.me
+    ? viewName(getDisplayName(participantSettings.me, participantSettings))
+    : null;
+
+  // Sender filters refer to the names shown, which change with privacy mode
+  const applyPrivacy = (settings) => {
+    setPrivacy(settings);
+    localStorage.setItem('privacySettings', JSON.stringify(settings));
+    setStatsFilters(current => ({ ...current, senders: [] }));
+    setShowPrivacy(false);
+  };
+
+  // Saves the anonymized rows as a new chat, without media
+  const saveAnonymizedCopy = async () => {
+    setShowPrivacy(false);
+    try {
+      const { rows } = privateView;
+      const chatStats = await runInWorker('stats', { rows, textSettings });
+      const summary = await saveChat({
+        name: `${currentChat ? currentChat.name : 'WhatsApp Chat'} (anonymized)`,
+        rows,
+        stats: chatStats,
+        events: viewEvents,
+        timeSettings
+      });
+      setLibrary(current => [summary, ...current]);
+    } catch (error) {
+      handleWorkerError(error, 'Failed to save the anonymized copy');
+    }
+  };
+
+  const applyParticipantChanges = async (settings) => {
+    setParticipantSettings(settings);
+    setShowParticipants(false);
+    // Sender filters refer to display names, which may have just changed
+    setStatsFilters(current => ({ ...current, senders: [] }));
+
+    try {
+      const rows = applyParticipantSettings(rawChatData, settings);
+      const chatStats = await runInWorker('stats', { rows, textSettings });
+      setStats(chatStats);
+
+      if (currentChatId) {
+        const summary = await updateChat(
+          currentChatId,
+          { participantSettings: settings, stats: chatStats },
+          { participantCount: new Set(rows.map(row => row.sender)).size }
+        );
+        setLibrary(current => current.map(chat => (chat.id === summary.id ? summary : chat)));
       }
-    });
-    
-    // Message count by date
-    const messagesByDate = {};
-    data.forEach(row => {
-      if (!messagesByDate[row.date]) {
-        messagesByDate[row.date] = 0;
+    } catch (error) {
+      handleWorkerError(error, 'Failed to update participants');
+    }
+  };
+
+  const applyWordSettings = async (settings) => {
+    setTextSettings(settings);
+    setShowWordSettings(false);
+
+    try {
+      const chatStats = await runInWorker('stats', { rows: chatData, textSettings: settings });
+      setStats(chatStats);
+
+      if (currentChatId) {
+        await updateChat(currentChatId, { textSettings: settings, stats: chatStats });
       }
-      messagesByDate[row.date]++;
-    });
-    
-    // Find most active day
-    const mostActiveDay = Object.entries(messagesByDate)
-      .reduce((max, [date, count]) => count > max[1] ? [date, count] : max, ['', 0]);
-    
-    // Timeline data (by month)
-    const messagesByMonth = {};
-    data.forEach(row => {
-      if (!row.datetime) return;
-      
-      const date = row.datetime;
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      
-      if (!messagesByMonth[monthKey]) {
-        messagesByMonth[monthKey] = 0;
+    } catch (error) {
+      handleWorkerError(error, 'Failed to update word settings');
+    }
+  };
+
+  // Recomputes dates, hours and weekdays of the chat in another time zone
+  const applyDisplayTimeZone = async (zone) => {
+    try {
+      const rows = await runInWorker('timeZone', {
+        rows: rawChatData,
+        timeZone: zone,
+        format: timeSettings.dateFormat
+      });
+      const events = await runInWorker('timeZone', {
+        rows: groupEvents,
+        timeZone: zone,
+        format: timeSettings.dateFormat
+      });
+      const chatStats = await runInWorker('stats', {
+        rows: applyParticipantSettings(rows, participantSettings),
+        textSettings
+      });
+      const settings = { ...timeSettings, display: zone };
+      setRawChatData(rows);
+      setGroupEvents(events);
+      setStats(chatStats);
+      setTimeSettings(settings);
+
+      if (currentChatId) {
+        await updateChat(currentChatId, { rows, events, stats: chatStats, timeSettings: settings });
       }
-      messagesByMonth[monthKey]++;
-    });
-    
-    // Timeline data (by day) for bar chart
-    const dailyTimelineData = Object.entries(messagesByDate)
-      .map(([date, count]) => {
-        // Try to create a proper date object for sorting
-        const dateParts = date.split('/');
-        if (dateParts.length === 3) {
-          const day = parseInt(dateParts[0], 10);
-          const month = parseInt(dateParts[1], 10) - 1;
-          const year = parseInt(dateParts[2], 10);
-          return { date, count, sortDate: new Date(year, month, day) };
-        }
-        return { date, count, sortDate: new Date(0) }; // Fallback for invalid dates
+    } catch (error) {
+      handleWorkerError(error, 'Failed to change the time zone');
+    }
+  };
+
+  // The rows behind the Statistics tab
+  const statsRows = useMemo(() => (
+    isFilterActive(statsFilters) ? filterRows(viewData, statsFilters) : viewData
+  ), [viewData, statsFilters]);
+
+  // Filtered or anonymized statistics are recomputed in the worker without
+  // blocking the tab. Results of a filter that has since changed are dropped.
+  const customStats = isFilterActive(statsFilters) || privacy.enabled;
+  useEffect(() => {
+    if (!customStats) {
+      setFilteredStats(null);
+      setStatsUpdating(false);
+      return undefined;
+    }
+
+    if (statsRows.length === 0) {
+      setFilteredStats({ messageCount: 0, stats: null });
+      setStatsUpdating(false);
+      return undefined;
+    }
+
+    let stale = false;
+    setStatsUpdating(true);
+    getAnalyzer().request('stats', { rows: statsRows, textSettings })
+      .then(result => {
+        if (!stale) setFilteredStats({ messageCount: statsRows.length, stats: result });
       })
-      .sort((a, b) => a.sortDate - b.sortDate)
-      .slice(-30); // Get only the last 30 days for readability
-    
-    // Calculate most common words
-    const wordCounts = {};
-    data.forEach(row => {
-      if (!row.message) return;
-      
-      const words = row.message
-        .toLowerCase()
-        .replace(/[^\p{L}\p{N}\s]/gu, '') // Remove non-alphanumeric characters but keep Unicode letters
-        .split(/\s+/)
-        .filter(word => word.length > 2); // Filter out short words
-      
-      words.forEach(word => {
-        if (!wordCounts[word]) {
-          wordCounts[word] = 0;
-        }
-        wordCounts[word]++;
+      .catch(error => {
+        if (!stale) handleWorkerError(error, 'Failed to filter statistics');
+      })
+      .finally(() => {
+        if (!stale) setStatsUpdating(false);
       });
-    });
-    
-    // Get top 30 words
-    const topWords = Object.entries(wordCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 30)
-      .map(([word, count]) => ({ word, count }));
-    
-    // Calculate most common phrases (2-3 words)
-    const phraseCounts = {};
-    data.forEach(row => {
-      if (!row.message) return;
-      
-      const words = row.message
-        .toLowerCase()
-        .replace(/[^\p{L}\p{N}\s]/gu, '')
-        .split(/\s+/)
-        .filter(word => word.length > 1);
-      
-      // Generate 2-word phrases
-      for (let i = 0; i < words.length - 1; i++) {
-        const phrase = `${words[i]} ${words[i + 1]}`;
-        if (!phraseCounts[phrase]) {
-          phraseCounts[phrase] = 0;
+
+    return () => {
+      stale = true;
+    };
+  }, [statsRows, customStats, textSettings]);
+
+  // Conversation analytics are only computed while the Statistics tab is open
+  useEffect(() => {
+    if (activeTab !== 'statistics' || statsRows.length === 0) {
+      setConversationStats(null);
+      return undefined;
+    }
+
+    let stale = false;
+    getAnalyzer().request('conversations', { rows: statsRows, gapMinutes: sessionGap })
+      .then(result => {
+        if (!stale) setConversationStats(result);
+      })
+      .catch(error => {
+        if (!stale) handleWorkerError(error, 'Failed to analyze conversations');
+      });
+
+    return () => {
+      stale = true;
+    };
+  }, [activeTab, statsRows, sessionGap]);
+
+  // The open profile follows the shown rows, so it updates with participant,
+  // word and privacy settings. It closes when the person is no longer in the chat.
+  useEffect(() => {
+    setProfile(null);
+    if (!profileSender) return undefined;
+
+    let stale = false;
+    getAnalyzer().request('profile', { rows: viewData, sender: profileSender, textSettings, gapMinutes: sessionGap })
+      .then(result => {
+        if (stale) return;
+        if (result) {
+          setProfile(result);
+        } else {
+          setProfileSender(null);
         }
-        phraseCounts[phrase]++;
-      }
-      
-      // Generate 3-word phrases
-      for (let i = 0; i < words.length - 2; i++) {
-        const phrase = `${words[i]} ${words[i + 1]} ${words[i + 2]}`;
-        if (!phraseCounts[phrase]) {
-          phraseCounts[phrase] = 0;
+      })
+      .catch(error => {
+        if (!stale) handleWorkerError(error, 'Failed to build the profile');
+      });
+
+    return () => {
+      stale = true;
+    };
+  }, [profileSender, viewData, textSettings, sessionGap]);
+
+  // Reloads the compared chats whenever the selection or one of them changes
+  useEffect(() => {
+    if (activeTab !== 'compare' || comparedIds.length < 2) {
+      setComparison(null);
+      return undefined;
+    }
+
+    let stale = false;
+    Promise.all(comparedIds.map(loadChatStats))
+      .then(chats => {
+        if (stale) return;
+        const compared = chats.map(({ summary, stats: chatStats }) => ({
+          id: summary.id,
+          name: (viewLibrary.find(chat => chat.id === summary.id) || summary).name,
+          stats: chatStats
+        }));
+        setComparison(buildComparison(privacy.enabled ? anonymizeComparedChats(compared, privacy) : compared));
+      })
+      .catch(error => {
+        if (!stale) setError(`Failed to load the chats to compare: ${error.message}`);
+      });
+
+    return () => {
+      stale = true;
+    };
+  }, [activeTab, comparedIds, viewLibrary, privacy]);
+
+  // The statistics on screen, and the chat details printed above them in exported reports
+  const viewStats = customStats ? filteredStats && filteredStats.stats : stats;
+
+  // Members over time, to show messages per member
+  const membership = useMemo(() => (
+    viewStats && viewEvents.length > 0
+      ? buildMembership(viewEvents, viewStats.senderData.map(sender => sender.name), viewStats.timelineData, outgoingSender)
+      : null
+  ), [viewEvents, viewStats, outgoingSender]);
+  const reportInfo = viewStats && statsRows.length > 0
+    ? {
+      title: privacy.enabled ? 'Anonymized Chat' : (currentChat ? currentChat.name : 'WhatsApp Chat'),
+      startDate: statsRows[0].datetime,
+      endDate: statsRows[statsRows.length - 1].datetime,
+      participants: viewStats.senderData.map(sender => sender.name),
+      messageCount: statsRows.length
+    }
+    : null;
+
+  // Load the library and reopen the last chat after a page refresh
+  useEffect(() => {
+    if (!isStorageAvailable()) return;
+
+    listChats()
+      .then(chats => {
+        setLibrary(chats);
+        const lastChatId = localStorage.getItem('lastChatId');
+        if (chats.some(chat => chat.id === lastChatId)) {
+          openChatRef.current(lastChatId);
         }
-        phraseCounts[phrase]++;
-      }
-    });
-    
-    // Get top 30 phrases with at least 3 occurrences
-    const topPhrases = Object.entries(phraseCounts)
-      .filter(([phrase, count]) => count >= 3) // Filter out phrases that occur less than 3 times
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 30)
-      .map(([phrase, count]) => ({ phrase, count }));
-    
-    // Format data for charts
-    const timelineData = Object.entries(messagesByMonth)
-      .sort(([a], [b]) => a.localeCompare(b))
-      .map(([month, count]) => ({ month, count }));
-    
-    const weekdayData = Object.entries(avgMessagesByWeekday)
-      .map(([day, avg]) => ({ 
-        day, 
-        avg: parseFloat(avg.toFixed(1))
-      }));
-    
-    const hourData = messagesByHour
-      .map((count, hour) => ({ hour: `${hour}:00`, count }));
-    
-    const senderData = uniqueSenders.map(sender => ({
-      name: sender,
-      messages: messageCountBySender[sender],
-      words: wordCountBySender[sender]
-    }));
-    
-    // Set all stats
-    setStats({
-      timelineData,
-      dailyTimelineData,
-      weekdayData,
-      hourData,
-      senderData,
-      topWords,
-      topPhrases,
-      mostActiveDay: {
-        date: mostActiveDay[0],
-        count: mostActiveDay[1]
-      }
-    });
+      })
+      .catch(error => setError(`Failed to load saved chats: ${error.message}`));
+    // Runs once on mount; the handlers above keep the library in sync afterwards
+  }, []);
+
+  const isCsvFile = (file) => file.type === 'text/csv' || file.name.endsWith('.csv');
+  const isTextFile = (file) => file.type === 'text/plain' || file.name.endsWith('.txt');
+  const isZipFile = (file) => file.type === 'application/zip' || file.name.endsWith('.zip');
+
+  const handleZipUpload = async (file) => {
+    const cancelCount = cancelCountRef.current;
+    let archive;
+    try {
+      setLoading(true);
+      setProgress({ stage: 'Unpacking archive', progress: 0 });
+      archive = await readWhatsAppZip(file);
+    } catch (error) {
+      setError(`Failed to open the archive: ${error.message}`);
+      setLoading(false);
+      setProgress(null);
+      return;
+    }
+
+    // Unzipping happens on this thread, so honor a cancel that came in meanwhile
+    if (cancelCount !== cancelCountRef.current) {
+      revokeMedia(archive.media);
+      return;
+    }
+    prepareImport(
+      { text: archive.text, encoding: archive.encoding, kind: 'txt' },
+      chatNameFromFile(file.name),
+      archive.media
+    );
   };
 
-  // Filter chat data by search term
-  const filteredChatData = searchTerm && chatData.length > 0
-    ? chatData.filter(msg => 
-        msg.message && msg.message.toLowerCase().includes(searchTerm.toLowerCase())
-      )
-    : chatData;
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-  // Group messages by date for the chat UI
-  const groupedByDate = _.groupBy(filteredChatData, 'date');
+    setError('');
 
-  const scrollToBottom = () => {
-    if (activeTab === 'chat' && chatEndRef.current) {
-      chatEndRef.current.scrollIntoView({ behavior: 'smooth' });
+    if (isZipFile(file)) {
+      handleZipUpload(file);
+      return;
     }
+
+    // Check if file is a CSV or a WhatsApp text export
+    if (!isCsvFile(file) && !isTextFile(file)) {
+      setError('Please upload a WhatsApp .zip or .txt export, or a CSV file.');
+      return;
+    }
+
+    // The worker reads the file itself so large exports are never held by the UI thread
+    prepareImport({ file, kind: isCsvFile(file) ? 'csv' : 'txt' }, chatNameFromFile(file.name));
   };
 
+  // Search hits are highlighted within the full conversation rather than filtered
+  const deferredSearchTerm = useDeferredValue(searchTerm);
+  const searchQuery = useMemo(() => parseQuery(deferredSearchTerm), [deferredSearchTerm]);
+
+  const searchHits = useMemo(() => (
+    isEmptyQuery(searchQuery) || searchQuery.errors.length > 0
+      ? []
+      : viewData.filter(msg => matchesQuery(msg, searchQuery)).map(msg => msg.id)
+  ), [viewData, searchQuery]);
+
+  const searchHitIds = useMemo(() => new Set(searchHits), [searchHits]);
+
+  const goToHit = (index) => {
+    if (searchHits.length === 0) return;
+    const wrapped = (index + searchHits.length) % searchHits.length;
+    setCurrentHit(wrapped);
+    if (transcriptRef.current) {
+      transcriptRef.current.scrollToMessage(searchHits[wrapped]);
+    }
+  };
+
+  // Start from the most recent hit whenever the results change
   useEffect(() => {
-    if (activeTab === 'chat') {
-      scrollToBottom();
+    if (searchHits.length === 0) {
+      setCurrentHit(-1);
+      return;
+    }
+    setCurrentHit(searchHits.length - 1);
+    if (transcriptRef.current) {
+      transcriptRef.current.scrollToMessage(searchHits[searchHits.length - 1]);
     }
-  }, [activeTab, filteredChatData]);
+  }, [searchHits]);
 
-  const COLORS = ['#25D366', '#128C7E', '#075E54', '#34B7F1', '#FF5252', '#448AFF', '#7C4DFF', '#FFD740'];
+  // Opens the Chat tab with a search, e.g. from a heatmap cell on the Statistics tab
+  const showInChat = (query) => {
+    setProfileSender(null);
+    setSearchTerm(query);
+    setActiveTab('chat');
+  };
+
+  // Searches from the Statistics tab keep its filters, so the chat shows the
+  // messages that were counted. A search for one sender (e.g. from a heatmap
+  // of that sender) replaces the sender filter instead of widening it.
+  const showStatsInChat = (query) => {
+    const filters = /(^|\s)from:/.test(query) ? { ...statsFilters, senders: [] } : statsFilters;
+    showInChat([filterQuery(filters), query].filter(Boolean).join(' '));
+  };
+
+  const handleSearchKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      goToHit(event.shiftKey ? currentHit + 1 : currentHit - 1);
+    }
+  };
+
+  const handleJumpToDate = (event) => {
+    if (!event.target.value || !transcriptRef.current) return;
+    transcriptRef.current.scrollToDate(new Date(`${event.target.value}T00:00:00`));
+  };
+
+  const toDateInputValue = (date) => (
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+  );
+
+  const progressPanel = (
+    <div className="progress-panel">
+      <p>{progress ? `${progress.stage}...` : 'Processing...'}</p>
+      <div className="progress-track">
+        <div
+          className="progress-fill"
+          style={{ width: `${Math.round((progress ? progress.progress : 0) * 100)}%` }}
+        />
+      </div>
+      <button className="secondary-btn" onClick={cancelProcessing}>
+        Cancel
+      </button>
+    </div>
+  );
 
   const handleDragOver = (e) => {
     e.preventDefault();
@@ -371,7 +764,7 @@ const WhatsAppAnalyzer = () => {
       for (let i = 0; i < e.dataTransfer.items.length; i++) {
         if (e.dataTransfer.items[i].kind === 'file') {
           const file = e.dataTransfer.items[i].getAsFile();
-          if (file.type === 'text/csv' || file.name.endsWith('.csv')) {
+          if (isCsvFile(file) || isTextFile(file) || isZipFile(file)) {
             // Manually set the file in the input element to trigger the change event
             const dataTransfer = new DataTransfer();
             dataTransfer.items.add(file);
@@ -381,7 +774,7 @@ const WhatsAppAnalyzer = () => {
             handleFileUpload({ target: { files: [file] } });
             break;
           } else {
-            setError('Please upload a CSV file.');
+            setError('Please upload a WhatsApp .zip or .txt export, or a CSV file.');
           }
         }
       }
@@ -395,7 +788,10 @@ const WhatsAppAnalyzer = () => {
         {`
           body { font-family: Arial, sans-serif; margin: 0; padding: 0; background-color: #f0f0f0; }
           .container { max-width: 100%; margin: 0 auto; }
-          .header { background-color: #075E54; color: white; padding: 20px; text-align: center; }
+          .header { background-color: #075E54; color: white; padding: 20px; text-align: center; position: relative; }
+          .privacy-toggle { position: absolute; right: 20px; top: 50%; transform: translateY(-50%); background: none; border: 1px solid white; color: white; border-radius: 15px; padding: 5px 12px; cursor: pointer; }
+          .privacy-toggle.active { background-color: #FFD740; border-color: #FFD740; color: #075E54; font-weight: bold; }
+          .privacy-settings { margin: 20px; }
           .tabs { display: flex; background-color: white; border-bottom: 1px solid #ddd; }
           .tab { padding: 15px 20px; cursor: pointer; font-weight: bold; }
           .tab.active { color: #25D366; border-bottom: 3px solid #25D366; }
@@ -403,9 +799,37 @@ const WhatsAppAnalyzer = () => {
           .content { padding: 20px; }
           
           /* Upload area */
-          .upload-area { display: flex; justify-content: center; align-items: center; min-height: 60vh; }
+          .upload-area { display: flex; flex-direction: column; justify-content: center; align-items: center; min-height: 60vh; }
           .drop-zone { border: 3px dashed #ccc; border-radius: 10px; padding: 30px; width: 100%; max-width: 500px; text-align: center; }
           .upload-btn { background-color: #25D366; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer; font-weight: bold; margin-top: 20px; }
+          .secondary-btn { background-color: white; color: #075E54; border: 1px solid #075E54; padding: 10px 20px; border-radius: 5px; cursor: pointer; font-weight: bold; margin-top: 20px; margin-left: 10px; }
+          .chat-library { background-color: white; border-radius: 10px; padding: 20px; width: 100%; max-width: 800px; margin-top: 30px; box-shadow: 0 2px 4px rgba(0,0,0,.1); }
+          .library-table { width: 100%; border-collapse: collapse; font-size: 14px; }
+          .library-table th { text-align: left; padding: 8px; border-bottom: 2px solid #eee; color: #555; }
+          .library-table td { padding: 8px; border-bottom: 1px solid #eee; }
+          .library-table tr.current td { background-color: #f0fbf4; }
+          .library-actions { white-space: nowrap; text-align: right; }
+          .library-actions button { background: none; border: none; color: #128C7E; cursor: pointer; font-weight: bold; margin-left: 8px; }
+          .library-rename { width: 100%; padding: 4px 6px; border: 1px solid #ddd; border-radius: 4px; }
+          .progress-panel { margin-top: 20px; }
+          .progress-track { height: 8px; background-color: #eee; border-radius: 4px; overflow: hidden; margin-top: 8px; }
+          .progress-fill { height: 100%; background-color: #25D366; transition: width 0.2s; }
+          .import-review { background-color: white; border-radius: 10px; padding: 30px; width: 100%; max-width: 800px; box-shadow: 0 2px 4px rgba(0,0,0,.1); }
+          .preview-table { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 10px; }
+          .preview-table td { padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+          .import-notice { background-color: #fff8e1; color: #6d5200; padding: 10px 15px; border-radius: 5px; margin-top: 15px; font-size: 14px; }
+          .merge-report { margin-top: 20px; padding: 15px; border: 1px solid #ddd; border-radius: 8px; }
+          .merge-report p { margin: 8px 0; color: #555; }
+          .import-mode { margin-top: 15px; font-size: 14px; }
+          .import-mode label { display: block; margin: 5px 0; cursor: pointer; }
+          .column-mapping { margin-top: 20px; padding: 15px; border: 1px solid #ddd; border-radius: 8px; }
+          .mapping-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 10px; }
+          .mapping-grid label { display: flex; align-items: center; }
+          .mapping-grid select { flex: 1; }
+          .preset-apply, .preset-delete { background: none; border: none; color: inherit; cursor: pointer; padding: 0 2px; }
+          .preset-form { display: inline-flex; align-items: center; margin-left: 10px; }
+          .preset-form input { padding: 4px 8px; border: 1px solid #ddd; border-radius: 4px; }
+          .import-errors { max-height: 200px; overflow-y: auto; margin: 10px 0 0 20px; font-size: 13px; list-style: disc; }
           .error-msg { color: red; margin-top: 15px; padding: 10px; background-color: #ffeeee; border-radius: 5px; }
           
           /* WhatsApp chat styling */
@@ -413,9 +837,19 @@ const WhatsAppAnalyzer = () => {
           .chat-header { background-color: #ededed; padding: 10px 16px; display: flex; align-items: center; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
           .chat-avatar { width: 40px; height: 40px; background-color: #ddd; border-radius: 50%; display: flex; align-items: center; justify-content: center; margin-right: 10px; font-weight: bold; }
           .chat-title { font-weight: bold; }
+          .header-btn { margin-left: auto; background: none; border: 1px solid #128C7E; color: #128C7E; border-radius: 15px; padding: 5px 12px; cursor: pointer; font-weight: bold; }
+          .participant-panel { background-color: white; padding: 15px 20px; border-bottom: 1px solid #ddd; max-height: 50vh; overflow-y: auto; }
           .chat-subtitle { font-size: 13px; color: #555; }
-          .search-bar { padding: 10px; background-color: #f6f6f6; }
-          .search-input { width: 100%; padding: 8px 12px; border-radius: 20px; border: 1px solid #ddd; outline: none; }
+          .search-bar { padding: 10px; background-color: #f6f6f6; display: flex; align-items: center; gap: 10px; }
+          .search-nav { display: flex; align-items: center; gap: 4px; font-size: 13px; color: #555; white-space: nowrap; }
+          .search-nav button { background: none; border: none; cursor: pointer; color: #128C7E; font-size: 14px; padding: 2px 4px; }
+          .search-nav button:disabled { color: #ccc; cursor: default; }
+          .search-errors { background-color: #ffeeee; color: #c00; font-size: 13px; padding: 6px 12px; }
+          .message-bubble.search-hit { box-shadow: 0 0 0 2px rgba(255, 215, 64, .6); }
+          .message-bubble.current-hit { box-shadow: 0 0 0 2px #FFB300; }
+          .message-text mark { background-color: #FFD740; border-radius: 2px; padding: 0 1px; }
+          .jump-to-date { display: flex; align-items: center; gap: 6px; font-size: 13px; color: #555; white-space: nowrap; }
+          .search-input { flex: 1; padding: 8px 12px; border-radius: 20px; border: 1px solid #ddd; outline: none; }
           
           .chat-messages { flex: 1; padding: 10px; background-color: #e5ddd5; background-image: url('data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAGQAAABkCAYAAABw4pVUAAAABmJLR0QA/wD/AP+gvaeTAAAACXBIWXMAAAsTAAALEwEAmpwYAAAAB3RJTUUH4AMIFCg3kA2L3AAAAhNJREFUeNrtnE1rGlEUhh+nFaShIAiBdFMIXbfQXfMH8mM7m+6qTRZFIgEhIAQCQcjELLpTSUCaNJvJKpM6E+fzLnTPgy5EhXvPfTzM1XEEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAOzS8NnA9K1RZJ8pUsrHuXBs2vgEQqcQsVYqRazjCOI6VeW6qmIY8aCIEFIhfkRr5b6qXo35pIyU8oNX5PZp3bNx3hSSqCoiHu2MlPJ0JepXRMKoDzvAK3KK3KeGHQcefCIeQ5dDFNKJXLK2mm1ycJlzhPQGSbzIJRNBh6aRvKM8iLtODPhtP75EwuMrJD0y0TUhpSBiKcyQlYZBX/Ah8iCS3iNkW9dF2DQM+n58ie1ySO81k10I2WOciBrIQIQIISJECBEihAgRQoQIIUKEECFCiBAiRMihhVjZ+VWECCFChBAhQogQIvS+qvLpF5tSNyGlvN0ckxukbVy6QqzTm9/HdnL6lXV5OdVWObBMFjsYI2Q9TFuX8e7m90NdTmLPvO99ktpTl3O5bMI4YyHtIGBZhI7U5Tyf/nZ7eRyH/LNl8TxuA5dXrxQ6Csv5aMeP2zIUYqPbX5Ps4Jm1+E13vLMsJ+NVOx0h7eCaxXx6JGKfhSHLAA8kl+1A5FjcHjv45MHXPy0LAgYiKyGEmQEAAAAAAAAAAAAAAAAAAAAAAAAAAAAA+Jf8A2LM+/L2GftRAAAAAElFTkSuQmCC'); overflow-y: auto; }
           
@@ -429,6 +863,10 @@ const WhatsAppAnalyzer = () => {
           .message-bubble.incoming { background-color: white; margin-right: 50px; }
           .sender-name { font-weight: bold; font-size: 13px; margin-bottom: 4px; color: #075E54; }
           .message-text { font-size: 14px; white-space: pre-wrap; word-break: break-word; }
+          .media-thumb { display: block; max-width: 100%; max-height: 260px; border-radius: 6px; margin-bottom: 4px; }
+          .media-sticker { display: block; width: 120px; height: 120px; object-fit: contain; margin-bottom: 4px; }
+          .media-audio { display: block; max-width: 100%; margin-bottom: 4px; }
+          .media-chip { display: inline-flex; align-items: center; padding: 6px 10px; margin-bottom: 4px; border-radius: 6px; background-color: rgba(0,0,0,.05); color: #075E54; font-size: 13px; text-decoration: none; }
           .message-time { font-size: 11px; color: rgba(0,0,0,.45); text-align: right; margin-top: 2px; margin-left: 4px; display: flex; justify-content: flex-end; align-items: center; }
           
           /* Statistics styling */
@@ -436,6 +874,74 @@ const WhatsAppAnalyzer = () => {
           .stat-card { background-color: white; border-radius: 8px; padding: 20px; box-shadow: 0 2px 4px rgba(0,0,0,.1); margin-bottom: 30px; }
           .stat-title { font-size: 20px; font-weight: bold; margin-bottom: 15px; color: #075E54; }
           .chart-container { height: 300px; width: 100%; }
+          .filter-bar { background-color: white; border-radius: 8px; padding: 15px 20px; box-shadow: 0 2px 4px rgba(0,0,0,.1); margin-bottom: 15px; }
+          .filter-row { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; }
+          .filter-row + .filter-row { margin-top: 10px; }
+          .filter-row select, .filter-row input { padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; }
+          .filter-label { font-weight: bold; color: #075E54; min-width: 70px; }
+          .sender-chip { padding: 4px 12px; border: 2px solid #ddd; border-radius: 16px; background-color: white; color: #999; cursor: pointer; }
+          .sender-chip.selected { color: #333; background-color: #f0f9f7; }
+          .filter-reset { margin-left: auto; padding: 4px 12px; border: none; background: none; color: #128C7E; cursor: pointer; text-decoration: underline; }
+          .stats-table { width: 100%; border-collapse: collapse; font-size: 14px; }
+          .stats-table th { text-align: left; padding: 8px; border-bottom: 2px solid #eee; color: #555; }
+          .stats-table td { padding: 8px; border-bottom: 1px solid #eee; }
+          .stats-table tr.clickable-row { cursor: pointer; }
+          .stats-table tr.clickable-row:hover td { background-color: #f0fbf4; }
+          .stats-header { display: flex; align-items: center; margin-bottom: 20px; }
+          .time-zone-setting { margin-left: auto; font-size: 14px; color: #555; }
+          .time-zone-setting select { margin-left: 5px; max-width: 200px; }
+          .time-zone-setting + .header-btn { margin-left: 10px; }
+          .settings-option { display: block; margin-bottom: 12px; }
+          .settings-option input[type="checkbox"] { margin-right: 8px; }
+          .settings-textarea { display: block; width: 100%; margin-top: 6px; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit; }
+          .export-menu { position: relative; margin-left: 10px; }
+          .export-menu .header-btn { margin-left: 0; }
+          .export-options { position: absolute; right: 0; top: 110%; z-index: 10; background-color: white; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,.2); overflow: hidden; min-width: 180px; }
+          .export-options button { display: block; width: 100%; padding: 10px 15px; border: none; background: none; text-align: left; cursor: pointer; }
+          .export-options button:hover { background-color: #f0f9f7; }
+          .report-header p { color: #555; margin-top: 5px; }
+          .heatmap-grid { display: grid; grid-template-columns: 40px repeat(24, 1fr); gap: 2px; }
+          .sender-legend { display: flex; align-items: center; margin-bottom: 8px; cursor: pointer; }
+          .sender-legend:hover span, .sender-link:hover { text-decoration: underline; }
+          .sender-link { cursor: pointer; }
+          .profile-overlay { position: fixed; inset: 0; background-color: rgba(0,0,0,.4); display: flex; justify-content: center; align-items: flex-start; overflow-y: auto; padding: 40px 20px; z-index: 10; }
+          .profile-panel { background-color: white; border-radius: 10px; padding: 20px; width: 100%; max-width: 900px; box-shadow: 0 4px 12px rgba(0,0,0,.2); }
+          .profile-header { display: flex; align-items: center; margin-bottom: 15px; }
+          .profile-header .chat-title { flex: 1; }
+          .profile-longest { margin: 15px 0; padding: 10px 15px; background-color: #f6f6f6; border-radius: 5px; white-space: pre-wrap; }
+          .profile-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin: 20px 0; }
+          .profile-list { margin: 0; padding: 0; list-style: none; font-size: 14px; }
+          .profile-list li { display: flex; justify-content: space-between; padding: 3px 0; border-bottom: 1px solid #eee; }
+          .profile-count { color: #555; }
+          .interaction-network { width: 100%; height: auto; user-select: none; }
+          .network-node { cursor: pointer; }
+          .network-node text { font-size: 13px; fill: #333; pointer-events: none; }
+          .network-details { display: flex; flex-wrap: wrap; align-items: center; gap: 12px; margin-top: 10px; font-size: 14px; }
+          .interaction-matrix { overflow-x: auto; }
+          .interaction-matrix table { border-collapse: collapse; font-size: 13px; }
+          .interaction-matrix th { padding: 6px 8px; text-align: left; white-space: nowrap; }
+          .interaction-matrix td { min-width: 40px; padding: 6px; text-align: center; border: 1px solid #fff; }
+          .event-timeline { max-height: 300px; overflow-y: auto; list-style: none; margin: 0; padding: 0; font-size: 14px; }
+          .event-timeline li { border-left: 4px solid #ddd; padding: 4px 10px; margin-bottom: 4px; }
+          .event-date { color: #888; margin-right: 10px; font-size: 13px; }
+          .message-text a { color: #027EB5; }
+          .link-gallery { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 15px; }
+          .link-card { background-color: white; border-radius: 8px; border-top: 4px solid #ddd; padding: 12px 15px; box-shadow: 0 2px 4px rgba(0,0,0,.1); display: flex; flex-direction: column; gap: 8px; min-width: 0; }
+          .link-card-header { display: flex; align-items: center; justify-content: space-between; gap: 8px; }
+          .link-domain { font-weight: bold; color: #075E54; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+          .link-category { color: white; font-size: 11px; font-weight: bold; border-radius: 10px; padding: 2px 8px; }
+          .link-url { color: #027EB5; font-size: 13px; word-break: break-all; display: -webkit-box; -webkit-line-clamp: 3; -webkit-box-orient: vertical; overflow: hidden; }
+          .link-meta { display: flex; align-items: center; gap: 10px; font-size: 13px; color: #888; }
+          .link-meta .filter-reset { padding: 0; }
+          .heatmap-cell { height: 22px; border-radius: 3px; cursor: pointer; }
+          .heatmap-cell:hover, .calendar-day.active:hover { outline: 2px solid #075E54; }
+          .heatmap-label { font-size: 11px; color: #666; display: flex; align-items: center; justify-content: center; }
+          .calendar-heatmap { overflow-x: auto; }
+          .calendar-year { display: flex; align-items: flex-start; margin-bottom: 10px; }
+          .calendar-year-label { width: 45px; font-weight: bold; color: #075E54; padding-top: 15px; }
+          .calendar-text { font-size: 10px; fill: #666; }
+          .calendar-day.active { cursor: pointer; }
+          .filter-summary { color: #666; margin-bottom: 15px; }
           
           /* Responsive fixes */
           @media (max-width: 768px) {
@@ -448,8 +954,25 @@ const WhatsAppAnalyzer = () => {
         {/* Header */}
         <div className="header">
           <h1>WhatsApp Chat Analyzer</h1>
+          <button
+            className={`privacy-toggle ${privacy.enabled ? 'active' : ''}`}
+            onClick={() => setShowPrivacy(!showPrivacy)}
+          >
+            {privacy.enabled ? 'Privacy mode: on' : 'Privacy mode'}
+          </button>
         </div>
         
+        {showPrivacy && (
+          <PrivacySettings
+            settings={privacy}
+            canSaveCopy={fileUploaded && isStorageAvailable()}
+            onApply={applyPrivacy}
+            onDisable={() => applyPrivacy({ ...privacy, enabled: false })}
+            onSaveCopy={saveAnonymizedCopy}
+            onClose={() => setShowPrivacy(false)}
+          />
+        )}
+        
         {/* Tab Navigation */}
         <div className="tabs">
           <div 
@@ -470,22 +993,181 @@ const WhatsAppAnalyzer = () => {
           >
             Statistics
           </div>
+          <div 
+            className={`tab ${activeTab === 'links' ? 'active' : ''} ${!fileUploaded ? 'disabled' : ''}`}
+            onClick={() => fileUploaded ? setActiveTab('links') : null}
+          >
+            Links
+          </div>
+          <div 
+            className={`tab ${activeTab === 'compare' ? 'active' : ''} ${library.length < 2 ? 'disabled' : ''}`}
+            onClick={() => library.length >= 2 ? setActiveTab('compare') : null}
+          >
+            Compare
+          </div>
         </div>
         
         <div className="content">
-          {activeTab === 'upload' && (
+          {activeTab === 'upload' && pendingImport && (
+            <div className="upload-area">
+              <div className="import-review">
+                <h2>Import Report</h2>
+                {pendingImport.append && (
+                  <p style={{ marginTop: '10px' }}>
+                    Adding to <span style={{ fontWeight: 'bold' }}>{currentChat ? currentChat.name : 'the open chat'}</span>.
+                    Messages already in the chat are skipped.
+                  </p>
+                )}
+                {pendingImport.source.kind === 'csv' && (
+                  <ColumnMapping
+                    source={pendingImport.source}
+                    presets={mappingPresets}
+                    disabled={loading}
+                    onChange={updateMapping}
+                    onSavePreset={saveMappingPreset}
+                    onDeletePreset={(name) => setMappingPresets(deletePreset(name))}
+                  />
+                )}
+                
+                {!pendingImport.detection && !loading && (
+                  <div style={{ marginTop: '20px' }}>
+                    <button className="secondary-btn" onClick={cancelImport}>
+                      Cancel
+                    </button>
+                  </div>
+                )}
+                
+                {pendingImport.detection && (
+                  <>
+                    <p style={{ marginTop: '10px' }}>
+                      Detected date format: <span style={{ fontFamily: 'monospace', fontWeight: 'bold' }}>{describeDateFormat(pendingImport.detection.format)}</span>
+                      {' '}({Math.round(pendingImport.detection.confidence * 100)}% confidence)
+                    </p>
+                    <p style={{ color: '#666', fontSize: '14px' }}>{pendingImport.detection.reason}</p>
+                
+                    <label style={{ display: 'block', marginTop: '15px' }}>
+                      Date order:{' '}
+                      <select
+                        value={dateFormat.order}
+                        onChange={(e) => updatePreview({ ...dateFormat, order: e.target.value }, sourceTimeZone)}
+                        disabled={loading}
+                      >
+                        {Object.entries(DATE_ORDERS).map(([order, label]) => (
+                          <option key={order} value={order}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+
+                    <label style={{ display: 'block', marginTop: '15px' }}>
+                      Time zone of the phone that exported the chat:{' '}
+                      <TimeZoneSelect
+                        value={sourceTimeZone}
+                        onChange={(zone) => updatePreview(dateFormat, zone)}
+                        disabled={loading}
+                      />
+                    </label>
+                
+                    <ImportReport source={pendingImport.source} preview={pendingImport.preview} timeZone={sourceTimeZone} />
+                
+                    {pendingImport.merge && (
+                      <div className="merge-report">
+                        <h4 style={{ fontWeight: 'bold' }}>Compared with {currentChat ? currentChat.name : 'the open chat'}</h4>
+                        <p>
+                          {pendingImport.merge.report.overlap
+                            ? `Both exports cover ${pendingImport.merge.report.overlap.start.toLocaleString()} – ${pendingImport.merge.report.overlap.end.toLocaleString()}.`
+                            : 'The exports do not overlap.'}
+                        </p>
+                        <table className="stats-table">
+                          <tbody>
+                            <tr>
+                              <td>New messages</td>
+                              <td>
+                                {pendingImport.merge.report.newCount.toLocaleString()}
+                                {' '}({pendingImport.merge.report.newBefore} earlier, {pendingImport.merge.report.newInOverlap} within the overlap, {pendingImport.merge.report.newAfter} later)
+                              </td>
+                            </tr>
+                            <tr>
+                              <td>Already in the chat</td>
+                              <td>{pendingImport.merge.report.duplicateCount.toLocaleString()}</td>
+                            </tr>
+                            <tr>
+                              <td>Conflicting (saved version kept)</td>
+                              <td>{pendingImport.merge.report.conflictCount.toLocaleString()}</td>
+                            </tr>
+                            {pendingImport.merge.report.mediaRecovered > 0 && (
+                              <tr>
+                                <td>Media added to saved messages</td>
+                                <td>{pendingImport.merge.report.mediaRecovered.toLocaleString()}</td>
+                              </tr>
+                            )}
+                          </tbody>
+                        </table>
+                        {pendingImport.merge.report.conflicts.length > 0 && (
+                          <ul className="import-errors">
+                            {pendingImport.merge.report.conflicts.map((conflict, index) => (
+                              <li key={index}>
+                                {conflict.datetime.toLocaleString()}, {conflict.sender}: saved "{_.truncate(conflict.saved, { length: 60 })}",
+                                new file "{_.truncate(conflict.incoming, { length: 60 })}"
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    )}
+                
+                    {loading ? progressPanel : (
+                      <div style={{ marginTop: '20px' }}>
+                        {!pendingImport.append && (
+                          <button
+                            className="upload-btn"
+                            onClick={confirmImport}
+                            disabled={pendingImport.preview.rowCount === 0}
+                          >
+                            Analyze {pendingImport.preview.rowCount} Messages
+                          </button>
+                        )}
+                        {pendingImport.append && !pendingImport.merge && (
+                          <button
+                            className="upload-btn"
+                            onClick={checkMerge}
+                            disabled={pendingImport.preview.rowCount === 0}
+                          >
+                            Compare with Current Chat
+                          </button>
+                        )}
+                        {pendingImport.merge && (
+                          <button
+                            className="upload-btn"
+                            onClick={commitMerge}
+                            disabled={pendingImport.merge.report.newCount === 0 && pendingImport.merge.report.mediaRecovered === 0}
+                          >
+                            Add {pendingImport.merge.report.newCount} New Messages
+                          </button>
+                        )}
+                        <button className="secondary-btn" onClick={cancelImport}>
+                          Cancel
+                        </button>
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+          
+          {activeTab === 'upload' && !pendingImport && (
             <div className="upload-area">
               <div 
                 className="drop-zone"
                 onDragOver={handleDragOver}
                 onDrop={handleDrop}
               >
-                <h2>Upload WhatsApp Chat CSV</h2>
-                <p>Drag and drop your WhatsApp chat CSV file here, or click to select a file</p>
+                <h2>Upload WhatsApp Chat</h2>
+                <p>Drag and drop your WhatsApp chat export (.zip or .txt) or CSV file here, or click to select a file</p>
                 
                 <input
                   type="file"
-                  accept=".csv"
+                  accept=".zip,.txt,.csv"
                   onChange={handleFileUpload}
                   ref={fileInputRef}
                   style={{ display: 'none' }}
@@ -493,12 +1175,25 @@ const WhatsAppAnalyzer = () => {
                 />
                 
                 <label htmlFor="file-upload" className="upload-btn">
-                  Select CSV File
+                  Select Chat File
                 </label>
                 
+                {fileUploaded && (
+                  <div className="import-mode">
+                    <label>
+                      <input type="radio" checked={!appendImport} onChange={() => setAppendImport(false)} />
+                      {' '}Import as a new chat
+                    </label>
+                    <label>
+                      <input type="radio" checked={appendImport} onChange={() => setAppendImport(true)} />
+                      {' '}Add to {currentChat ? `"${currentChat.name}"` : 'the open chat'} (a newer or older export of the same chat)
+                    </label>
+                  </div>
+                )}
+                
                 <div style={{ marginTop: '15px', fontSize: '14px' }}>
-                  <p>Your file should have these columns:</p>
-                  <p style={{ fontFamily: 'monospace', color: '#666' }}>datetime, date, time, hour, weekday, sender, message</p>
+                  <p>Use WhatsApp's "Export chat" .zip (with media) or .txt file as-is, or a CSV from any converter.</p>
+                  <p style={{ color: '#666' }}>CSV columns for the sender, message and date/time are matched on the next step.</p>
                 </div>
                 
                 {error && (
@@ -507,12 +1202,16 @@ const WhatsAppAnalyzer = () => {
                   </div>
                 )}
                 
-                {loading && (
-                  <div style={{ marginTop: '20px' }}>
-                    <p>Processing...</p>
-                  </div>
-                )}
+                {loading && progressPanel}
               </div>
+              
+              <ChatLibrary
+                chats={viewLibrary}
+                currentChatId={currentChatId}
+                onOpen={openChat}
+                onRename={privacy.enabled ? null : handleRenameChat}
+                onDelete={handleDeleteChat}
+              />
             </div>
           )}
         
@@ -525,294 +1224,208 @@ const WhatsAppAnalyzer = () => {
                 </div>
                 <div>
                   <div className="chat-title">
-                    {chatData.length > 0 ? 
-                      `${_.uniq(chatData.map(msg => msg.sender)).join(', ')}` : 
+                    {viewData.length > 0 ? 
+                      _.uniq(viewData.map(msg => msg.sender)).map((sender, index) => (
+                        <React.Fragment key={sender}>
+                          {index > 0 && ', '}
+                          <span className="sender-link" title="Open profile" onClick={() => setProfileSender(sender)}>
+                            {sender}
+                          </span>
+                        </React.Fragment>
+                      )) : 
                       'WhatsApp Chat'
                     }
                   </div>
                   <div className="chat-subtitle">
-                    {chatData.length} messages, {_.uniq(chatData.map(msg => msg.sender)).length} participants
+                    {viewData.length} messages, {_.uniq(viewData.map(msg => msg.sender)).length} participants
+                    {!outgoingSender && !privacy.enabled && ' · choose who you are in Participants'}
                   </div>
                 </div>
+                {/* Participant settings show the real names */}
+                {!privacy.enabled && (
+                  <button className="header-btn" onClick={() => setShowParticipants(!showParticipants)}>
+                    Participants
+                  </button>
+                )}
               </div>
               
+              {showParticipants && !privacy.enabled && (
+                <ParticipantSettings
+                  rawSenders={rawSenders}
+                  settings={participantSettings}
+                  onApply={applyParticipantChanges}
+                  onClose={() => setShowParticipants(false)}
+                />
+              )}
+              
               {/* Search Bar */}
               <div className="search-bar">
                 <input
                   type="text"
-                  placeholder="Search in chat..."
+                  placeholder="Search in chat... (from:, before:, after:, has:media, day:, hour:, &quot;phrase&quot;, /regex/)"
+                  title={QUERY_HELP}
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
+                  onKeyDown={handleSearchKeyDown}
                   className="search-input"
                 />
-              </div>
-              
-              {/* Chat Messages */}
-              <div className="chat-messages">
-                {Object.keys(groupedByDate).length === 0 ? (
-                  <div style={{ textAlign: 'center', padding: '20px' }}>
-                    <p>No messages found</p>
-                  </div>
-                ) : (
-                  <div style={{ maxWidth: '900px', margin: '0 auto' }}>
-                    {Object.entries(groupedByDate).map(([date, messages]) => (
-                      <div key={date}>
-                        {/* Date Divider */}
-                        <div className="date-divider">
-                          <div className="date-label">
-                            {date}
-                          </div>
-                        </div>
-                        
-                        {/* Messages for this date */}
-                        {messages.map((msg, idx) => {
-                          // Determine if message is sent by the user or received
-                          const isOutgoing = msg.sender === chatData[0]?.sender;
-                          
-                          return (
-                            <div 
-                              key={`${date}-${idx}`} 
-                              className={`message-row ${isOutgoing ? 'outgoing' : 'incoming'}`}
-                            >
-                              <div 
-                                className={`message-bubble ${isOutgoing ? 'outgoing' : 'incoming'}`}
-                              >
-                                {!isOutgoing && (
-                                  <div className="sender-name">
-                                    {msg.sender}
-                                  </div>
-                                )}
-                                
-                                <div className="message-text">
-                                  {msg.message}
-                                </div>
-                                
-                                <div className="message-time">
-                                  {msg.time ? msg.time.split(':').slice(0, 2).join(':') : ''}
-                                  
-                                  {isOutgoing && (
-                                    <span style={{ marginLeft: '4px' }}>✓✓</span>
-                                  )}
-                                </div>
-                              </div>
-                            </div>
-                          );
-                        })}
-                      </div>
-                    ))}
-                    <div ref={chatEndRef} />
+                {searchTerm && (
+                  <div className="search-nav">
+                    <span>
+                      {searchHits.length > 0 ? `${currentHit + 1} of ${searchHits.length}` : 'No results'}
+                    </span>
+                    <button onClick={() => goToHit(currentHit - 1)} disabled={searchHits.length === 0} title="Previous (Enter)">▲</button>
+                    <button onClick={() => goToHit(currentHit + 1)} disabled={searchHits.length === 0} title="Next (Shift+Enter)">▼</button>
                   </div>
                 )}
+                <label className="jump-to-date">
+                  Jump to date
+                  <input
+                    type="date"
+                    min={toDateInputValue(chatData[0].datetime)}
+                    max={toDateInputValue(chatData[chatData.length - 1].datetime)}
+                    onChange={handleJumpToDate}
+                  />
+                </label>
               </div>
+              
+              {searchQuery.errors.length > 0 && (
+                <div className="search-errors">
+                  {searchQuery.errors.join(' · ')}
+                </div>
+              )}
+              
+              {/* Chat Messages */}
+              <ChatTranscript
+                ref={transcriptRef}
+                messages={viewData}
+                media={media}
+                outgoingSender={outgoingSender}
+                senderColors={viewColors}
+                query={searchQuery}
+                hitIds={searchHitIds}
+                currentHitId={currentHit >= 0 ? searchHits[currentHit] : null}
+              />
             </div>
           )}
           
           {activeTab === 'statistics' && fileUploaded && stats && (
             <div className="stats-container">
-              <h2 style={{ marginBottom: '20px', fontSize: '24px' }}>Chat Statistics</h2>
-              
-              {/* Most Active Day */}
-              <div className="stat-card">
-                <div className="stat-title">Most Active Day</div>
-                <p style={{ fontSize: '18px' }}>
-                  <span style={{ fontWeight: 'bold' }}>{stats.mostActiveDay.date}</span> with{' '}
-                  <span style={{ fontWeight: 'bold', color: '#25D366' }}>{stats.mostActiveDay.count}</span> messages
-                </p>
-              </div>
-              
-              {/* Monthly Timeline Chart */}
-              <div className="stat-card">
-                <div className="stat-title">Monthly Message Timeline</div>
-                <div className="chart-container">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={stats.timelineData}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="date" />
-                      <YAxis />
-                      <Tooltip />
-                      <Legend />
-                      <Bar dataKey="count" fill="#34B7F1" name="Messages" />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              </div>
-              
-              {/* Average Messages by Weekday */}
-              <div className="stat-card">
-                <div className="stat-title">Average Messages by Day of Week</div>
-                <div className="chart-container">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={stats.weekdayData}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="day" />
-                      <YAxis />
-                      <Tooltip />
-                      <Legend />
-                      <Bar dataKey="avg" fill="#25D366" name="Average Messages" />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              </div>
-              
-              {/* Messages by Hour */}
-              <div className="stat-card">
-                <div className="stat-title">Messages by Hour of Day</div>
-                <div className="chart-container">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={stats.hourData}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="hour" />
-                      <YAxis />
-                      <Tooltip />
-                      <Legend />
-                      <Bar dataKey="count" fill="#128C7E" name="Messages" />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
+              <div className="stats-header">
+                <h2 style={{ fontSize: '24px' }}>Chat Statistics</h2>
+                {timeSettings && (
+                  <label className="time-zone-setting">
+                    Times shown in{' '}
+                    <TimeZoneSelect value={timeSettings.display} onChange={applyDisplayTimeZone} disabled={loading} />
+                  </label>
+                )}
+                <button className="header-btn" onClick={() => setShowWordSettings(!showWordSettings)}>
+                  Word settings
+                </button>
+                {reportInfo && (
+                  <ExportMenu
+                    reportRef={reportRef}
+                    stats={viewStats}
+                    rows={statsRows}
+                    info={reportInfo}
+                    onError={setError}
+                  />
+                )}
               </div>
-              
-              {/* Who Sends More Messages */}
-              <div className="stat-card">
-                <div className="stat-title">Who Sends More Messages?</div>
-                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
-                  <div>
-                    <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>Total Messages</h4>
-                    <div style={{ height: '300px' }}>
-                      <ResponsiveContainer width="100%" height="100%">
-                        <PieChart>
-                          <Pie
-                            data={stats.senderData}
-                            cx="50%"
-                            cy="50%"
-                            labelLine={true}
-                            label={({name, percent}) => `${name} (${(percent * 100).toFixed(0)}%)`}
-                            outerRadius={80}
-                            fill="#8884d8"
-                            dataKey="messages"
-                          >
-                            {stats.senderData.map((entry, index) => (
-                              <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                            ))}
-                          </Pie>
-                          <Tooltip />
-                        </PieChart>
-                      </ResponsiveContainer>
-                    </div>
-                    <div style={{ marginTop: '20px' }}>
-                      {stats.senderData.map((sender, index) => (
-                        <div key={sender.name} style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
-                          <div style={{ 
-                            width: '12px', 
-                            height: '12px', 
-                            backgroundColor: COLORS[index % COLORS.length],
-                            marginRight: '8px' 
-                          }}></div>
-                          <span>{sender.name}: {sender.messages} messages</span>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                  
-                  <div>
-                    <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>Total Words</h4>
-                    <div style={{ height: '300px' }}>
-                      <ResponsiveContainer width="100%" height="100%">
-                        <PieChart>
-                          <Pie
-                            data={stats.senderData}
-                            cx="50%"
-                            cy="50%"
-                            labelLine={true}
-                            label={({name, percent}) => `${name} (${(percent * 100).toFixed(0)}%)`}
-                            outerRadius={80}
-                            fill="#8884d8"
-                            dataKey="words"
-                          >
-                            {stats.senderData.map((entry, index) => (
-                              <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                            ))}
-                          </Pie>
-                          <Tooltip />
-                        </PieChart>
-                      </ResponsiveContainer>
-                    </div>
-                    <div style={{ marginTop: '20px' }}>
-                      {stats.senderData.map((sender, index) => (
-                        <div key={sender.name} style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
-                          <div style={{ 
-                            width: '12px', 
-                            height: '12px', 
-                            backgroundColor: COLORS[index % COLORS.length],
-                            marginRight: '8px' 
-                          }}></div>
-                          <span>{sender.name}: {sender.words} words</span>
-                        </div>
-                      ))}
-                    </div>
+
+              {showWordSettings && (
+                <WordSettings
+                  settings={textSettings}
+                  detectedLanguages={stats.languages || []}
+                  onApply={applyWordSettings}
+                  onClose={() => setShowWordSettings(false)}
+                />
+              )}
+
+              <StatsFilterBar
+                firstDate={chatData[0].datetime}
+                lastDate={chatData[chatData.length - 1].datetime}
+                senders={stats.senderData.map(sender => viewName(sender.name))}
+                senderColors={viewColors}
+                filters={statsFilters}
+                onChange={setStatsFilters}
+              />
+
+              {(isFilterActive(statsFilters) || statsUpdating) && (
+                <p className="filter-summary">
+                  {statsUpdating
+                    ? 'Updating statistics…'
+                    : filteredStats && `Showing ${filteredStats.messageCount.toLocaleString()} of ${viewData.length.toLocaleString()} messages`}
+                </p>
+              )}
+
+              {isFilterActive(statsFilters) && filteredStats && !filteredStats.stats && !statsUpdating && (
+                <div className="stat-card">No messages match these filters.</div>
+              )}
+
+              {reportInfo && (
+                <div ref={reportRef} className="stats-report">
+                  <div className="stat-card report-header">
+                    <div className="stat-title">{reportInfo.title}</div>
+                    <p>
+                      {reportInfo.startDate.toLocaleDateString()} – {reportInfo.endDate.toLocaleDateString()}
+                      {' · '}{reportInfo.messageCount.toLocaleString()} messages
+                    </p>
+                    <p>{reportInfo.participants.join(', ')}</p>
                   </div>
+
+                  <StatisticsTab
+                    stats={viewStats}
+                    senderColors={viewColors}
+                    onShowInChat={showStatsInChat}
+                    onShowProfile={setProfileSender}
+                  />
+
+                  {conversationStats && !statsUpdating && (
+                    <ConversationCards
+                      conversations={conversationStats}
+                      senderColors={viewColors}
+                      gapMinutes={sessionGap}
+                      onGapChange={setSessionGap}
+                    />
+                  )}
+
+                  {membership && (
+                    <GroupEvents events={viewEvents} membership={membership} senderColors={viewColors} />
+                  )}
+
+                  {/* Group chats only; two people only ever talk to each other */}
+                  {conversationStats && !statsUpdating && conversationStats.interactions.nodes.length > 2 && (
+                    <InteractionNetwork
+                      interactions={conversationStats.interactions}
+                      senderColors={viewColors}
+                      onShowProfile={setProfileSender}
+                    />
+                  )}
                 </div>
-              </div>
-              
-              {/* Most Common Words */}
-              <div className="stat-card">
-                <div className="stat-title">Most Common Words</div>
-                <div style={{ height: '400px' }}>
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart 
-                      data={stats.topWords} 
-                      layout="vertical"
-                      margin={{ top: 5, right: 30, left: 80, bottom: 5 }}
-                    >
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis type="number" />
-                      <YAxis 
-                        type="category" 
-                        dataKey="word" 
-                        tick={{ fontSize: 12 }}
-                        width={80}
-                      />
-                      <Tooltip />
-                      <Legend />
-                      <Bar dataKey="count" fill="#075E54" name="Occurrences" />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              </div>
-              
-              {/* Most Common Phrases */}
-              <div className="stat-card">
-                <div className="stat-title">Most Common Phrases</div>
-                <div style={{ height: '400px' }}>
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart 
-                      data={stats.topPhrases} 
-                      layout="vertical"
-                      margin={{ top: 5, right: 30, left: 120, bottom: 5 }}
-                    >
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis type="number" />
-                      <YAxis 
-                        type="category" 
-                        dataKey="phrase" 
-                        tick={{ fontSize: 12 }}
-                        width={120}
-                      />
-                      <Tooltip />
-                      <Legend />
-                      <Bar dataKey="count" fill="#128C7E" name="Occurrences" />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              </div>
+              )}
             </div>
           )}
           
-          {!fileUploaded && (activeTab === 'chat' || activeTab === 'statistics') && (
+          {activeTab === 'links' && fileUploaded && (
+            <LinkGallery rows={viewData} senderColors={viewColors} onShowInChat={showInChat} />
+          )}
+          
+          {activeTab === 'compare' && (
+            <ChatComparison
+              chats={viewLibrary}
+              selectedIds={comparedIds}
+              comparison={comparison}
+              onChange={setComparedIds}
+            />
+          )}
+          
+          {!fileUploaded && ['chat', 'statistics', 'links'].includes(activeTab) && (
             <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '60vh' }}>
               <div style={{ textAlign: 'center', padding: '30px' }}>
                 <div style={{ fontSize: '48px', marginBottom: '20px' }}>⚠️</div>
                 <h2>No Data Available</h2>
-                <p style={{ color: '#666', marginBottom: '20px' }}>Please upload a WhatsApp chat CSV file first.</p>
+                <p style={{ color: '#666', marginBottom: '20px' }}>Please upload a WhatsApp chat export first.</p>
                 <button 
                   onClick={() => setActiveTab('upload')} 
                   className="upload-btn"
@@ -824,25 +1437,18 @@ const WhatsAppAnalyzer = () => {
           )}
         </div>
       </div>
+
+      {profileSender && (
+        <ParticipantProfile
+          name={profileSender}
+          profile={profile}
+          color={viewColors[profileSender]}
+          onShowInChat={showInChat}
+          onClose={() => setProfileSender(null)}
+        />
+      )}
     </div>
   );
 };
 
-export default WhatsAppAnalyzer;Axis dataKey="month" />
-                      <YAxis />
-                      <Tooltip />
-                      <Legend />
-                      <Bar dataKey="count" fill="#25D366" name="Messages" />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              </div>
-              
-              {/* Daily Timeline Chart */}
-              <div className="stat-card">
-                <div className="stat-title">Daily Message Timeline (Last 30 Days)</div>
-                <div className="chart-container">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={stats.dailyTimelineData}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <X
+export default WhatsAppAnalyzer;
@@ -0,0 +1,253 @@
+import _ from 'lodash';
+import { MEDIA_TYPES } from '../parsing/mediaAttachments';
+import { isDeletedMessage } from '../parsing/deletedMessages';
+import { defaultTextSettings, detectLanguages, createTextProcessor } from './textProcessing';
+import { extractEmojis } from './emoji';
+import { createSentimentTracker } from './sentiment';
+import { createLinkTracker, findLinks } from './links';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How often (in rows) progress is reported
+const PROGRESS_INTERVAL = 5000;
+
+const increment = (counts, key, amount = 1) => {
+  counts[key] = (counts[key] || 0) + amount;
+};
+
+// Computes every series shown on the Statistics tab in a single pass over
+// the rows, so multi-year chats with hundreds of thousands of messages stay fast.
+// onProgress is called with a fraction between 0 and 1. textSettings controls
+// which words count for the word and phrase charts (see textProcessing.js).
+export const calculateStats = (data, onProgress = () => {}, textSettings = defaultTextSettings()) => {
+  if (!data || data.length === 0) return null;
+
+  const languages = textSettings.languages || detectLanguages(data);
+  const text = createTextProcessor(textSettings, languages);
+
+  const messageCountBySender = {};
+  const wordCountBySender = {};
+  const mediaCountBySender = {};
+  const mediaCountByType = _.fromPairs(MEDIA_TYPES.map(type => [type, 0]));
+  const messagesByWeekday = _.fromPairs(WEEKDAY_NAMES.map(day => [day, 0]));
+  const daysByWeekday = _.fromPairs(WEEKDAY_NAMES.map(day => [day, new Set()]));
+  const messagesByHour = Array(24).fill(0);
+  // Weekday × hour message counts, for everyone and per sender
+  const emptyMatrix = () => WEEKDAY_NAMES.map(() => Array(24).fill(0));
+  const activityMatrix = emptyMatrix();
+  const activityMatrixBySender = {};
+  const messagesByDate = {};
+  const sortDateByDate = {};
+  const messagesByMonth = {};
+  const wordCounts = {};
+  const phraseCounts = {};
+  const emojiCounts = {};
+  const emojiCountsBySender = {};
+  const emojisByMonth = {};
+  // Stickers, GIFs and deleted messages per sender
+  const placeholdersBySender = {};
+  const sentiment = createSentimentTracker();
+  const links = createLinkTracker();
+
+  data.forEach((row, index) => {
+    if (index % PROGRESS_INTERVAL === 0) {
+      onProgress(index / data.length);
+    }
+
+    // Messages, words and media by sender
+    increment(messageCountBySender, row.sender);
+
+    const tokens = row.message
+      ? row.message.split(/\s+/).filter(word => word.length > 0)
+      : [];
+    increment(wordCountBySender, row.sender, tokens.length);
+
+    if (row.attachment) {
+      if (!mediaCountBySender[row.sender]) {
+        mediaCountBySender[row.sender] = _.fromPairs(MEDIA_TYPES.map(type => [type, 0]));
+      }
+      mediaCountBySender[row.sender][row.attachment.type]++;
+      mediaCountByType[row.attachment.type]++;
+    }
+
+    // Weekday (with the distinct days for averages) and hour
+    if (messagesByWeekday.hasOwnProperty(row.weekday)) {
+      messagesByWeekday[row.weekday]++;
+      daysByWeekday[row.weekday].add(row.date);
+    }
+
+    const hour = parseInt(row.hour, 10);
+    if (!isNaN(hour) && hour >= 0 && hour < 24) {
+      messagesByHour[hour]++;
+    }
+
+    const weekday = WEEKDAY_NAMES.indexOf(row.weekday);
+    if (weekday >= 0 && !isNaN(hour) && hour >= 0 && hour < 24) {
+      if (!activityMatrixBySender[row.sender]) {
+        activityMatrixBySender[row.sender] = emptyMatrix();
+      }
+      activityMatrix[weekday][hour]++;
+      activityMatrixBySender[row.sender][weekday][hour]++;
+    }
+
+    // Day and month timelines
+    if (!messagesByDate[row.date]) {
+      sortDateByDate[row.date] = row.datetime;
+    }
+    increment(messagesByDate, row.date);
+
+    const month = row.datetime
+      ? `${row.datetime.getFullYear()}-${String(row.datetime.getMonth() + 1).padStart(2, '0')}`
+      : null;
+    if (month) {
+      increment(messagesByMonth, month);
+    }
+
+    // Emojis, overall, per sender and per month
+    const messageText = row.attachment ? row.attachment.caption : row.message;
+    const emojis = extractEmojis(messageText);
+    if (!emojiCountsBySender[row.sender]) {
+      emojiCountsBySender[row.sender] = {};
+    }
+    emojis.forEach(emoji => {
+      increment(emojiCounts, emoji);
+      increment(emojiCountsBySender[row.sender], emoji);
+    });
+    if (month) {
+      increment(emojisByMonth, month, emojis.length);
+    }
+
+    // Stickers, GIFs and deleted messages
+    const placeholder = row.attachment && (row.attachment.type === 'sticker' || row.attachment.type === 'gif')
+      ? row.attachment.type
+      : (isDeletedMessage(row.message) ? 'deleted' : null);
+    if (placeholder) {
+      if (!placeholdersBySender[row.sender]) {
+        placeholdersBySender[row.sender] = { sticker: 0, gif: 0, deleted: 0 };
+      }
+      placeholdersBySender[row.sender][placeholder]++;
+    }
+
+    // Words and 2-3 word phrases; media messages only count their caption
+    const words = text.tokenize(messageText);
+    sentiment.add(row, month, words, emojis);
+    links.add(row, month, findLinks(messageText));
+
+    words.forEach((word, i) => {
+      if (text.isWord(word)) increment(wordCounts, text.lemmatize(word));
+      if (i < words.length - 1 && text.isPhrase(words.slice(i, i + 2))) {
+        increment(phraseCounts, `${word} ${words[i + 1]}`);
+      }
+      if (i < words.length - 2 && text.isPhrase(words.slice(i, i + 3))) {
+        increment(phraseCounts, `${word} ${words[i + 1]} ${words[i + 2]}`);
+      }
+    });
+  });
+
+  const uniqueSenders = Object.keys(messageCountBySender);
+
+  // Find most active day
+  const mostActiveDay = Object.entries(messagesByDate)
+    .reduce((max, [date, count]) => count > max[1] ? [date, count] : max, ['', 0]);
+
+  // Timeline data (by day) for bar chart
+  const dailyTimelineData = Object.entries(messagesByDate)
+    .map(([date, count]) => ({ date, count, sortDate: sortDateByDate[date] }))
+    .sort((a, b) => a.sortDate - b.sortDate);
+
+  // Get top 30 words
+  const topWords = Object.entries(wordCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 30)
+    .map(([word, count]) => ({ word, count }));
+
+  // Get top 30 phrases with at least 3 occurrences
+  const topPhrases = Object.entries(phraseCounts)
+    .filter(([phrase, count]) => count >= 3)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 30)
+    .map(([phrase, count]) => ({ phrase, count }));
+
+  // Format data for charts
+  const timelineData = Object.entries(messagesByMonth)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, count]) => ({ month, count }));
+
+  const weekdayData = WEEKDAY_NAMES.map(day => {
+    const daysCount = daysByWeekday[day].size;
+    const avg = daysCount > 0 ? messagesByWeekday[day] / daysCount : 0;
+    return { day, avg: parseFloat(avg.toFixed(1)) };
+  });
+
+  const hourData = messagesByHour
+    .map((count, hour) => ({ hour: `${hour}:00`, count }));
+
+  const senderData = uniqueSenders.map(sender => ({
+    name: sender,
+    messages: messageCountBySender[sender],
+    words: wordCountBySender[sender]
+  }));
+
+  const mediaBySenderData = Object.entries(mediaCountBySender)
+    .map(([name, counts]) => ({ name, ...counts, total: _.sum(Object.values(counts)) }))
+    .sort((a, b) => b.total - a.total);
+
+  const topEmojis = Object.entries(emojiCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .map(([emoji, count]) => ({ emoji, count }));
+
+  const emojiBySenderData = uniqueSenders
+    .map(sender => {
+      const counts = Object.entries(emojiCountsBySender[sender]).sort((a, b) => b[1] - a[1]);
+      const total = _.sumBy(counts, ([emoji, count]) => count);
+      return {
+        name: sender,
+        total,
+        perMessage: parseFloat((total / messageCountBySender[sender]).toFixed(2)),
+        top: counts.slice(0, 5).map(([emoji, count]) => ({ emoji, count }))
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+
+  const emojiTimelineData = timelineData.map(({ month, count }) => ({
+    month,
+    emojis: emojisByMonth[month] || 0,
+    perMessage: parseFloat(((emojisByMonth[month] || 0) / count).toFixed(2))
+  }));
+
+  const placeholderData = Object.entries(placeholdersBySender)
+    .map(([name, counts]) => ({ name, ...counts }))
+    .sort((a, b) => (b.sticker + b.gif + b.deleted) - (a.sticker + a.gif + a.deleted));
+
+  const mediaByTypeData = Object.entries(mediaCountByType)
+    .filter(([type, count]) => count > 0)
+    .map(([type, count]) => ({ type, count }));
+
+  onProgress(1);
+
+  return {
+    timelineData,
+    dailyTimelineData,
+    weekdayData,
+    hourData,
+    senderData,
+    topWords,
+    topPhrases,
+    mediaBySenderData,
+    mediaByTypeData,
+    topEmojis,
+    emojiBySenderData,
+    emojiTimelineData,
+    placeholderData,
+    activityMatrix,
+    activityMatrixBySender,
+    languages,
+    sentiment: sentiment.result(),
+    links: links.result(timelineData.map(({ month }) => month)),
+    mostActiveDay: {
+      date: mostActiveDay[0],
+      count: mostActiveDay[1]
+    }
+  };
+};
@@ -0,0 +1,100 @@
+import _ from 'lodash';
+
+// Side-by-side comparison of saved chats, built from their stored stats.
+//
+// Each chart row holds one value per chat keyed by the chat id, so every
+// chat becomes one line or bar on shared axes. Hours and participants are
+// compared as a percentage of each chat's messages, since chats of very
+// different sizes are compared.
+
+const DAY = 24 * 60 * 60 * 1000;
+const TOP_PARTICIPANTS = 12;
+
+const percent = (count, total) => (total > 0 ? parseFloat(((count / total) * 100).toFixed(1)) : 0);
+
+const totalMessages = (stats) => _.sumBy(stats.senderData, 'messages');
+
+// Key metrics of one chat for the summary table
+const summarizeChat = ({ id, name, stats }) => {
+  const messages = totalMessages(stats);
+  const words = _.sumBy(stats.senderData, 'words');
+  const days = stats.dailyTimelineData.filter(day => day.sortDate);
+  const startDate = days.length > 0 ? days[0].sortDate : null;
+  const endDate = days.length > 0 ? days[days.length - 1].sortDate : null;
+  const spanDays = startDate ? Math.round((endDate - startDate) / DAY) + 1 : 0;
+  const topSender = _.maxBy(stats.senderData, 'messages');
+  const peakHour = _.maxBy(stats.hourData, 'count');
+  const emojis = _.sumBy(stats.emojiBySenderData || [], 'total');
+
+  return {
+    id,
+    name,
+    messages,
+    participants: stats.senderData.length,
+    startDate,
+    endDate,
+    activeDays: days.length,
+    activeDayShare: percent(days.length, spanDays),
+    messagesPerActiveDay: days.length > 0 ? parseFloat((messages / days.length).toFixed(1)) : 0,
+    wordsPerMessage: messages > 0 ? parseFloat((words / messages).toFixed(1)) : 0,
+    media: _.sumBy(stats.mediaByTypeData, 'count'),
+    emojisPerMessage: messages > 0 ? parseFloat((emojis / messages).toFixed(2)) : 0,
+    peakHour: peakHour && peakHour.count > 0 ? peakHour.hour : null,
+    topSender: topSender ? { name: topSender.name, share: percent(topSender.messages, messages) } : null,
+    mostActiveDay: stats.mostActiveDay
+  };
+};
+
+// Messages per month; months a chat has no messages in count as 0
+const compareTimelines = (chats) => {
+  const months = _.uniq(chats.flatMap(({ stats }) => stats.timelineData.map(entry => entry.month))).sort();
+  const counts = chats.map(({ stats }) => _.fromPairs(stats.timelineData.map(({ month, count }) => [month, count])));
+
+  return months.map(month => {
+    const entry = { month };
+    chats.forEach((chat, index) => {
+      entry[chat.id] = counts[index][month] || 0;
+    });
+    return entry;
+  });
+};
+
+const compareHours = (chats) => {
+  const totals = chats.map(({ stats }) => _.sumBy(stats.hourData, 'count'));
+  return _.range(24).map(hour => {
+    const entry = { hour: `${hour}:00` };
+    chats.forEach((chat, index) => {
+      entry[chat.id] = percent(chat.stats.hourData[hour].count, totals[index]);
+    });
+    return entry;
+  });
+};
+
+// Participants with the same name line up, e.g. the same chat exported twice
+// or someone who is in two groups. Only the largest shares are kept.
+const compareParticipants = (chats) => {
+  const shares = chats.map(({ stats }) => {
+    const total = totalMessages(stats);
+    return _.fromPairs(stats.senderData.map(sender => [sender.name, percent(sender.messages, total)]));
+  });
+
+  return _.uniq(shares.flatMap(Object.keys))
+    .map(name => {
+      const entry = { name };
+      chats.forEach((chat, index) => {
+        entry[chat.id] = shares[index][name] || 0;
+      });
+      return entry;
+    })
+    .sort((a, b) => _.max(chats.map(chat => b[chat.id])) - _.max(chats.map(chat => a[chat.id])))
+    .slice(0, TOP_PARTICIPANTS);
+};
+
+// chats is a list of { id, name, stats }
+export const buildComparison = (chats) => ({
+  chats: chats.map(({ id, name }) => ({ id, name })),
+  summaries: chats.map(summarizeChat),
+  timelineData: compareTimelines(chats),
+  hourData: compareHours(chats),
+  participantData: compareParticipants(chats)
+});
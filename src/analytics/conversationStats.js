@@ -0,0 +1,161 @@
+import _ from 'lodash';
+
+// Conversation analytics built on the chronologically sorted rows.
+//
+// A conversation (session) ends when nobody writes for longer than the
+// silence gap. Within a session, a message from someone other than the
+// previous sender counts as a reply to that sender, and the time between the
+// two messages is the reply latency.
+
+export const SESSION_GAP_OPTIONS = [15, 30, 60, 120, 360, 720, 1440];
+export const DEFAULT_SESSION_GAP_MINUTES = 60;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Upper bounds (exclusive) of the reply latency distribution
+export const LATENCY_BUCKETS = [
+  { label: '< 1 min', max: MINUTE },
+  { label: '1-5 min', max: 5 * MINUTE },
+  { label: '5-15 min', max: 15 * MINUTE },
+  { label: '15-60 min', max: HOUR },
+  { label: '1-6 h', max: 6 * HOUR },
+  { label: '6 h +', max: Infinity }
+];
+
+const LONGEST_SILENCES = 10;
+const TOP_STREAKS = 5;
+
+// Formats a duration in milliseconds as e.g. "45s", "12m", "3h 5m" or "2d 4h"
+export const formatDuration = (ms) => {
+  if (ms < MINUTE) return `${Math.round(ms / 1000)}s`;
+  if (ms < HOUR) return `${Math.round(ms / MINUTE)}m`;
+  if (ms < DAY) {
+    const hours = Math.floor(ms / HOUR);
+    const minutes = Math.round((ms % HOUR) / MINUTE);
+    return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  }
+  const days = Math.floor(ms / DAY);
+  const hours = Math.round((ms % DAY) / HOUR);
+  return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// Calendar day number, unaffected by daylight saving changes
+const dayNumber = (date) => Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY);
+
+const fromDayNumber = (day) => {
+  const date = new Date(day * DAY);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+// Runs of consecutive calendar days with at least one message
+const findStreaks = (rows) => {
+  const days = _.sortedUniq(rows.map(row => dayNumber(row.datetime)));
+  const streaks = [];
+  let start = days[0];
+
+  days.forEach((day, index) => {
+    const next = days[index + 1];
+    if (next !== day + 1) {
+      streaks.push({ start: fromDayNumber(start), end: fromDayNumber(day), days: day - start + 1 });
+      start = next;
+    }
+  });
+
+  return {
+    activeDays: days.length,
+    longest: _.maxBy(streaks, 'days'),
+    // The streak that includes the last day of the chat
+    current: streaks[streaks.length - 1],
+    top: _.orderBy(streaks, ['days', 'start'], ['desc', 'desc']).slice(0, TOP_STREAKS)
+  };
+};
+
+export const calculateConversationStats = (data, gapMinutes = DEFAULT_SESSION_GAP_MINUTES) => {
+  const rows = (data || []).filter(row => row.datetime);
+  if (rows.length === 0) return null;
+
+  const gap = gapMinutes * MINUTE;
+  const bySender = {};
+  const replies = {};
+  const silences = [];
+  const sessionLengths = [];
+
+  const senderEntry = (name) => {
+    if (!bySender[name]) {
+      bySender[name] = { name, started: 0, ended: 0, replyLatencies: [] };
+    }
+    return bySender[name];
+  };
+
+  let sessionStart = 0;
+  const closeSession = (endIndex) => {
+    senderEntry(rows[sessionStart].sender).started++;
+    senderEntry(rows[endIndex].sender).ended++;
+    sessionLengths.push(endIndex - sessionStart + 1);
+  };
+
+  rows.forEach((row, index) => {
+    senderEntry(row.sender);
+    if (index === 0) return;
+
+    const previous = rows[index - 1];
+    const elapsed = row.datetime - previous.datetime;
+
+    if (elapsed > gap) {
+      closeSession(index - 1);
+      sessionStart = index;
+      silences.push({ start: previous.datetime, end: row.datetime, duration: elapsed, brokenBy: row.sender });
+      return;
+    }
+
+    if (row.sender !== previous.sender) {
+      const key = `${row.sender}\u0000${previous.sender}`;
+      if (!replies[key]) {
+        replies[key] = { from: row.sender, to: previous.sender, latencies: [] };
+      }
+      replies[key].latencies.push(elapsed);
+      bySender[row.sender].replyLatencies.push(elapsed);
+    }
+  });
+  closeSession(rows.length - 1);
+
+  const sessionCount = sessionLengths.length;
+
+  const senders = _.orderBy(Object.values(bySender), ['started'], ['desc'])
+    .map(({ name, started, ended, replyLatencies }) => ({
+      name,
+      started,
+      ended,
+      startedShare: started / sessionCount,
+      replies: replyLatencies.length,
+      medianReply: median(replyLatencies)
+    }));
+
+  const replyPairs = _.orderBy(Object.values(replies), [pair => pair.latencies.length], ['desc'])
+    .map(({ from, to, latencies }) => {
+      const buckets = _.fromPairs(LATENCY_BUCKETS.map(bucket => [bucket.label, 0]));
+      latencies.forEach(latency => {
+        buckets[LATENCY_BUCKETS.find(bucket => latency < bucket.max).label]++;
+      });
+      return { from, to, label: `${from} → ${to}`, count: latencies.length, median: median(latencies), ...buckets };
+    });
+
+  return {
+    gapMinutes,
+    sessionCount,
+    averageSessionLength: _.mean(sessionLengths),
+    senders,
+    replyPairs,
+    longestSilences: _.orderBy(silences, ['duration'], ['desc']).slice(0, LONGEST_SILENCES),
+    streaks: findStreaks(rows)
+  };
+};
@@ -0,0 +1,20 @@
+// Emoji extraction. One match is one emoji as people see it, so ZWJ
+// sequences (family, profession), skin tones, flags and keycaps are kept whole.
+const EMOJI_PATTERN = new RegExp([
+  // Country flags: two regional indicator letters
+  '\\p{Regional_Indicator}{2}',
+  // Keycaps: digit, # or * followed by the combining enclosing keycap
+  '[0-9#*]\\uFE0F?\\u20E3',
+  // Pictographs with an optional variation selector, skin tone or tag
+  // sequence (subdivision flags), joined into ZWJ sequences
+  '\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier}|[\\u{E0020}-\\u{E007E}]+\\u{E007F})?'
+    + '(?:\\u200D\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier})?)*'
+].join('|'), 'gu');
+
+// Symbols such as © or ™ are pictographic but only emoji when followed by U+FE0F
+const TEXT_STYLE_SYMBOLS = /^[\u00A9\u00AE\u203C\u2049\u2122\u2139\u2194-\u2199\u21A9\u21AA]$/u;
+
+export const extractEmojis = (text) => {
+  if (!text) return [];
+  return (text.match(EMOJI_PATTERN) || []).filter(emoji => !TEXT_STYLE_SYMBOLS.test(emoji));
+};
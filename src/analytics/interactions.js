@@ -0,0 +1,127 @@
+import _ from 'lodash';
+import { DEFAULT_SESSION_GAP_MINUTES } from './conversationStats';
+
+// Who talks to whom, for the interaction network and matrix.
+//
+// Three kinds of interaction are counted from one sender to another:
+// - replies: a message right after someone else's within a conversation
+//   (the same definition as conversationStats.js)
+// - mentions: "@Name" or "@972501234567" in the message text
+// - quotes: quoted replies, for imports that name the quoted sender
+//   (row.replyTo, e.g. from a mapped CSV column)
+
+const MINUTE = 60 * 1000;
+// Phone numbers are compared by their last digits, ignoring country codes
+const PHONE_DIGITS = 9;
+
+// Newer exports wrap mentioned names in Unicode isolates (U+2068 ... U+2069)
+const ISOLATED_MENTION = /@\u2068([^\u2069]+)\u2069/g;
+const MENTION = /@(\S+)/g;
+const TRAILING_PUNCTUATION = /[.,!?;:)'"]+$/;
+
+const phoneKey = (text) => {
+  const digits = text.replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-PHONE_DIGITS) : null;
+};
+
+// Resolves the text after an "@" to a participant, or null. Full names
+// (longest first) win over unique first names and phone numbers.
+const createMentionResolver = (senders) => {
+  const byLength = _.sortBy(senders, name => -name.length).map(name => [name.toLowerCase(), name]);
+  const firstNames = _.groupBy(senders, name => name.split(/\s+/)[0].toLowerCase());
+  const phones = {};
+  senders.forEach(name => {
+    const key = phoneKey(name);
+    if (key && /^[+\d\s().-]+$/.test(name)) phones[key] = name;
+  });
+
+  return (text) => {
+    const lower = text.toLowerCase();
+    const full = byLength.find(([name]) => (
+      lower.startsWith(name) && !/[\p{L}\p{N}]/u.test(lower.charAt(name.length))
+    ));
+    if (full) return full[1];
+
+    const word = lower.split(/\s/)[0].replace(TRAILING_PUNCTUATION, '');
+    if (firstNames[word] && firstNames[word].length === 1) return firstNames[word][0];
+
+    const key = /^\+?\d/.test(word) ? phoneKey(word) : null;
+    return (key && phones[key]) || null;
+  };
+};
+
+// Participants mentioned in a message, without repeats
+const findMentions = (text, resolve) => {
+  if (!text || !text.includes('@')) return [];
+  const mentioned = new Set();
+  let match;
+
+  ISOLATED_MENTION.lastIndex = 0;
+  while ((match = ISOLATED_MENTION.exec(text)) !== null) {
+    const name = resolve(match[1]);
+    if (name) mentioned.add(name);
+  }
+  MENTION.lastIndex = 0;
+  while ((match = MENTION.exec(text)) !== null) {
+    if (match[1].startsWith('\u2068')) continue;
+    const name = resolve(text.slice(match.index + 1));
+    if (name) mentioned.add(name);
+  }
+  return [...mentioned];
+};
+
+// Returns { nodes, edges, totals } or null without rows. nodes are the
+// senders ({ name, messages, interactions }), most active first; edges are
+// directed ({ from, to, replies, mentions, quotes, weight }), heaviest first.
+export const calculateInteractions = (data, gapMinutes = DEFAULT_SESSION_GAP_MINUTES) => {
+  const rows = (data || []).filter(row => row.datetime);
+  if (rows.length === 0) return null;
+
+  const gap = gapMinutes * MINUTE;
+  const messages = _.countBy(rows, 'sender');
+  const resolve = createMentionResolver(Object.keys(messages));
+  const edges = {};
+
+  const add = (from, to, kind) => {
+    if (from === to) return;
+    const key = `${from}\u0000${to}`;
+    if (!edges[key]) {
+      edges[key] = { from, to, replies: 0, mentions: 0, quotes: 0, weight: 0 };
+    }
+    edges[key][kind]++;
+    edges[key].weight++;
+  };
+
+  rows.forEach((row, index) => {
+    const previous = rows[index - 1];
+    if (previous && row.datetime - previous.datetime <= gap) {
+      add(row.sender, previous.sender, 'replies');
+    }
+    findMentions(row.attachment ? row.attachment.caption : row.message, resolve)
+      .forEach(name => add(row.sender, name, 'mentions'));
+    if (row.replyTo && messages[row.replyTo]) {
+      add(row.sender, row.replyTo, 'quotes');
+    }
+  });
+
+  const edgeList = _.orderBy(Object.values(edges), ['weight'], ['desc']);
+  const interactions = {};
+  edgeList.forEach(({ from, to, weight }) => {
+    interactions[from] = (interactions[from] || 0) + weight;
+    interactions[to] = (interactions[to] || 0) + weight;
+  });
+
+  return {
+    nodes: _.orderBy(
+      Object.entries(messages).map(([name, count]) => ({ name, messages: count, interactions: interactions[name] || 0 })),
+      ['messages'],
+      ['desc']
+    ),
+    edges: edgeList,
+    totals: {
+      replies: _.sumBy(edgeList, 'replies'),
+      mentions: _.sumBy(edgeList, 'mentions'),
+      quotes: _.sumBy(edgeList, 'quotes')
+    }
+  };
+};
@@ -0,0 +1,171 @@
+import _ from 'lodash';
+
+// Links shared in messages: finding them in the text, their domains and
+// categories, and the link statistics of calculateStats.
+//
+// Besides addresses starting with "http://", "https://" or "www.", bare
+// domains with a common top-level domain count too ("youtu.be/abc",
+// "ynet.co.il"), since phones often share links that way.
+
+const LINK_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"]+|(?:[a-z0-9-]+\.)+(?:com|org|net|edu|gov|io|co|il|uk|de|fr|me|ly|be|gl|tv|app|info)(?:\/[^\s<>"]*)?/gi;
+// A link without a scheme does not continue a word, an email or a path
+const BEFORE_LINK = /[\p{L}\p{N}@./_-]/u;
+// A bare domain is not followed by more of a word ("example.community")
+const AFTER_BARE_DOMAIN = /[\p{L}\p{N}_-]/u;
+// Punctuation after a link belongs to the sentence, e.g. "see youtu.be/abc."
+const TRAILING_PUNCTUATION = /[.,!?;:'"*_~\u2019]+$/;
+
+export const LINK_CATEGORIES = ['YouTube', 'Spotify', 'Maps', 'News', 'Other'];
+export const LINK_CATEGORY_COLORS = {
+  YouTube: '#FF5252',
+  Spotify: '#1DB954',
+  Maps: '#448AFF',
+  News: '#7C4DFF',
+  Other: '#128C7E'
+};
+
+// Domains of each category; subdomains belong to them too
+const CATEGORY_DOMAINS = {
+  YouTube: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+  Spotify: ['spotify.com', 'spotify.link', 'spoti.fi'],
+  Maps: ['maps.google.com', 'maps.app.goo.gl', 'waze.com', 'maps.apple.com', 'openstreetmap.org', 'moovitapp.com'],
+  News: [
+    'ynet.co.il', 'ynetnews.com', 'haaretz.co.il', 'haaretz.com', 'themarker.com', 'mako.co.il', 'n12.co.il',
+    'walla.co.il', 'maariv.co.il', 'israelhayom.co.il', 'globes.co.il', 'calcalist.co.il', 'kan.org.il',
+    'timesofisrael.com', 'jpost.com', 'i24news.tv', 'bbc.com', 'bbc.co.uk', 'cnn.com', 'nytimes.com',
+    'theguardian.com', 'reuters.com', 'apnews.com', 'washingtonpost.com', 'wsj.com', 'bloomberg.com',
+    'ft.com', 'npr.org', 'aljazeera.com', 'foxnews.com', 'nbcnews.com', 'cbsnews.com', 'abcnews.go.com',
+    'news.google.com', 'news.yahoo.com', 'economist.com', 'politico.com', 'axios.com', 'independent.co.uk'
+  ]
+};
+// Map links on general domains, e.g. google.com/maps or goo.gl/maps/...
+const MAP_PATHS = /^(?:https?:\/\/)?(?:www\.)?(?:google\.[a-z.]+\/maps|goo\.gl\/maps)/i;
+
+// Each link in the text as { start, end, url }
+const scanLinks = (text) => {
+  if (!text || !text.includes('.')) return [];
+  const found = [];
+  let match;
+  LINK_PATTERN.lastIndex = 0;
+  while ((match = LINK_PATTERN.exec(text)) !== null) {
+    const start = match.index;
+    const scheme = /^https?:\/\//i.test(match[0]);
+    const bare = !scheme && !/^www\./i.test(match[0]);
+    if (!scheme && BEFORE_LINK.test(text.charAt(start - 1))) continue;
+    if (bare && AFTER_BARE_DOMAIN.test(text.charAt(start + match[0].length))) continue;
+
+    let url = match[0].replace(TRAILING_PUNCTUATION, '');
+    // "(youtu.be/abc)" leaves the parenthesis out; wikipedia.org/wiki/Go_(game) keeps it
+    while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+      url = url.slice(0, -1).replace(TRAILING_PUNCTUATION, '');
+    }
+    // A scheme alone, or a host without a dot, is not a link
+    if (!/[./]/.test(url.replace(/^(?:https?:\/\/|www\.)/i, ''))) continue;
+    found.push({ start, end: start + url.length, url });
+  }
+  return found;
+};
+
+// The address to open for a link found in the text
+export const linkHref = (url) => (/^https?:\/\//i.test(url) ? url : `https://${url}`);
+
+// "https://www.YouTube.com/watch?v=..." → "youtube.com"
+export const linkDomain = (url) => {
+  const host = url.replace(/^https?:\/\//i, '').split(/[/?#]/)[0].split('@').pop().split(':')[0];
+  return host.toLowerCase().replace(/^(?:www\d?|m|mobile)\./, '');
+};
+
+const inDomain = (domain, parent) => domain === parent || domain.endsWith(`.${parent}`);
+
+export const linkCategory = (url, domain = linkDomain(url)) => {
+  if (MAP_PATHS.test(url)) return 'Maps';
+  const category = Object.keys(CATEGORY_DOMAINS)
+    .find(name => CATEGORY_DOMAINS[name].some(parent => inDomain(domain, parent)));
+  return category || 'Other';
+};
+
+// The links in a message as { url, href, domain, category }
+export const findLinks = (text) => scanLinks(text).map(({ url }) => {
+  const domain = linkDomain(url);
+  return { url, href: linkHref(url), domain, category: linkCategory(url, domain) };
+});
+
+// Splits a message into text and link segments ({ text, link }) for the chat
+// view; link is null for plain text
+export const splitLinks = (text) => {
+  const found = scanLinks(text);
+  if (found.length === 0) return [{ text, link: null }];
+
+  const segments = [];
+  let position = 0;
+  found.forEach(({ start, end, url }) => {
+    if (start > position) segments.push({ text: text.slice(position, start), link: null });
+    segments.push({ text: url, link: { url, href: linkHref(url) } });
+    position = end;
+  });
+  if (position < text.length) segments.push({ text: text.slice(position), link: null });
+  return segments;
+};
+
+// The text with every link replaced, e.g. for word counts or redaction
+export const replaceLinks = (text, replacement) => {
+  const found = scanLinks(text);
+  if (found.length === 0) return text;
+
+  let result = '';
+  let position = 0;
+  found.forEach(({ start, end }) => {
+    result += text.slice(position, start) + replacement;
+    position = end;
+  });
+  return result + text.slice(position);
+};
+
+const TOP_DOMAINS = 15;
+
+const emptyCategories = () => _.fromPairs(LINK_CATEGORIES.map(category => [category, 0]));
+
+// Collects shared links during calculateStats' pass over the rows
+export const createLinkTracker = () => {
+  const byDomain = {};
+  const bySender = {};
+  const byMonth = {};
+  const byCategory = emptyCategories();
+  let total = 0;
+
+  return {
+    add: (row, month, links) => {
+      links.forEach(({ domain, category }) => {
+        total++;
+        byCategory[category]++;
+        if (!byDomain[domain]) byDomain[domain] = { domain, category, count: 0 };
+        byDomain[domain].count++;
+        bySender[row.sender] = (bySender[row.sender] || 0) + 1;
+        if (month) {
+          if (!byMonth[month]) byMonth[month] = emptyCategories();
+          byMonth[month][category]++;
+        }
+      });
+    },
+
+    // { total, topDomains, categoryData, bySenderData, timelineData }.
+    // months are the chat's months, so months without links show as 0.
+    result: (months) => ({
+      total,
+      topDomains: _.orderBy(Object.values(byDomain), ['count'], ['desc']).slice(0, TOP_DOMAINS),
+      categoryData: LINK_CATEGORIES
+        .filter(category => byCategory[category] > 0)
+        .map(category => ({ category, count: byCategory[category] })),
+      bySenderData: _.orderBy(
+        Object.entries(bySender).map(([name, count]) => ({
+          name,
+          count,
+          share: parseFloat(((count / total) * 100).toFixed(1))
+        })),
+        ['count'],
+        ['desc']
+      ),
+      timelineData: months.map(month => ({ month, ...(byMonth[month] || emptyCategories()) }))
+    })
+  };
+};
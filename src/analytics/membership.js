@@ -0,0 +1,70 @@
+import { JOIN_TYPES, LEAVE_TYPES } from '../parsing/groupEvents';
+
+// Group members over time, from the group events and the chat's senders.
+//
+// Exports do not list the members when the export starts, so they are
+// estimated: everyone who appears in the chat was a member from the start,
+// unless the first change to their membership is joining or being added.
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// The owner of the export as system lines name them
+const YOU = 'You';
+
+// events are chronological ({ datetime, date, type, actor, targets }), with
+// the names shown in the chat; senders are everyone who wrote in it.
+// timelineData are the monthly message counts of calculateStats.
+// me is the name shown for the participant chosen as me: a "You" left in the
+// events is that person, and is left out when nobody is chosen, because the
+// owner also appears under their own name as a sender.
+// Returns { initialMembers, finalMembers, byMonth } where byMonth has the
+// members and messages per member of each month.
+export const buildMembership = (events, senders, timelineData, me = null) => {
+  const resolveNames = (names) => names
+    .map(name => (name === YOU ? me : name))
+    .filter(Boolean);
+
+  const firstChange = {};
+  const people = new Set(senders);
+  events.forEach(({ type, actor, targets }) => {
+    resolveNames([actor]).forEach(name => people.add(name));
+    resolveNames(targets).forEach(name => {
+      people.add(name);
+      if (!(name in firstChange) && (JOIN_TYPES.includes(type) || LEAVE_TYPES.includes(type))) {
+        firstChange[name] = JOIN_TYPES.includes(type) ? 'join' : 'leave';
+      }
+    });
+  });
+
+  const members = new Set([...people].filter(name => firstChange[name] !== 'join'));
+  const initialMembers = members.size;
+  const timeline = [];
+  events.forEach(({ datetime, type, targets }) => {
+    if (JOIN_TYPES.includes(type)) {
+      resolveNames(targets).forEach(name => members.add(name));
+    } else if (LEAVE_TYPES.includes(type)) {
+      resolveNames(targets).forEach(name => members.delete(name));
+    } else {
+      return;
+    }
+    timeline.push({ month: monthKey(datetime), members: members.size });
+  });
+
+  // Members at the end of each month with messages
+  let index = 0;
+  let current = initialMembers;
+  const byMonth = timelineData.map(({ month, count }) => {
+    while (index < timeline.length && timeline[index].month <= month) {
+      current = timeline[index].members;
+      index++;
+    }
+    return {
+      month,
+      messages: count,
+      members: current,
+      perMember: current > 0 ? parseFloat((count / current).toFixed(1)) : 0
+    };
+  });
+
+  return { initialMembers, finalMembers: members.size, byMonth };
+};
@@ -0,0 +1,28 @@
+import { buildMembership } from './membership';
+
+const event = (month, type, actor, targets) => ({ datetime: new Date(2024, month, 10), type, actor, targets });
+
+const events = [
+  event(0, 'created', 'You', []),
+  event(0, 'added', 'You', ['Bob']),
+  event(1, 'left', 'Bob', ['Bob'])
+];
+const timelineData = [{ month: '2024-01', count: 10 }, { month: '2024-02', count: 4 }];
+
+describe('buildMembership', () => {
+  it('leaves out "You" when nobody is chosen as me', () => {
+    const { initialMembers, finalMembers, byMonth } = buildMembership(events, ['Alice', 'Bob'], timelineData);
+    expect(initialMembers).toBe(1);
+    expect(finalMembers).toBe(1);
+    expect(byMonth.map(({ members }) => members)).toEqual([2, 1]);
+  });
+
+  it('counts "You" as the participant chosen as me', () => {
+    const { initialMembers, finalMembers, byMonth } = buildMembership(
+      [...events, event(1, 'removed', 'Carol', ['You'])], ['Alice', 'Bob', 'Carol'], timelineData, 'Alice'
+    );
+    expect(initialMembers).toBe(2);
+    expect(finalMembers).toBe(1);
+    expect(byMonth.map(({ members }) => members)).toEqual([3, 1]);
+  });
+});
@@ -0,0 +1,79 @@
+import _ from 'lodash';
+import { calculateStats } from './calculateStats';
+import { defaultTextSettings, detectLanguages } from './textProcessing';
+import { DEFAULT_SESSION_GAP_MINUTES } from './conversationStats';
+
+// One participant's own statistics for their profile.
+//
+// The charts (hours, weekdays, months, words, phrases, emojis) come from
+// calculateStats over the participant's messages. Replies follow the
+// definition of conversationStats.js: a message right after someone else's,
+// within the silence gap of a conversation.
+
+const MINUTE = 60 * 1000;
+const TOP_REPLIED = 5;
+
+const messageText = (row) => (row.attachment ? row.attachment.caption : row.message) || '';
+
+// Returns null when the sender has no messages
+export const calculateProfile = (
+  rows,
+  sender,
+  onProgress = () => {},
+  textSettings = defaultTextSettings(),
+  gapMinutes = DEFAULT_SESSION_GAP_MINUTES
+) => {
+  const own = rows.filter(row => row.sender === sender);
+  if (own.length === 0) return null;
+
+  // Words are judged in the languages of the whole chat, not just this person's messages
+  const languages = textSettings.languages || detectLanguages(rows);
+  const stats = calculateStats(own, onProgress, { ...textSettings, languages });
+
+  let characters = 0;
+  let words = 0;
+  let textMessages = 0;
+  let longest = null;
+  own.forEach(row => {
+    const text = messageText(row).trim();
+    if (!text) return;
+    textMessages++;
+    characters += text.length;
+    words += text.split(/\s+/).length;
+    if (!longest || text.length > longest.length) {
+      longest = { id: row.id, datetime: row.datetime, date: row.date, time: row.time, text, length: text.length };
+    }
+  });
+
+  const gap = gapMinutes * MINUTE;
+  const repliesTo = {};
+  rows.forEach((row, index) => {
+    const previous = rows[index - 1];
+    if (row.sender !== sender || !previous || previous.sender === sender) return;
+    if (row.datetime - previous.datetime > gap) return;
+    repliesTo[previous.sender] = (repliesTo[previous.sender] || 0) + 1;
+  });
+  const replyCount = _.sum(Object.values(repliesTo));
+
+  return {
+    name: sender,
+    messageCount: own.length,
+    shareOfMessages: own.length / rows.length,
+    firstMessage: own[0].datetime,
+    lastMessage: own[own.length - 1].datetime,
+    averageCharacters: textMessages > 0 ? Math.round(characters / textMessages) : 0,
+    averageWords: textMessages > 0 ? parseFloat((words / textMessages).toFixed(1)) : 0,
+    longestMessage: longest,
+    replyCount,
+    repliesTo: _.orderBy(Object.entries(repliesTo), ([name, count]) => count, 'desc')
+      .slice(0, TOP_REPLIED)
+      .map(([name, count]) => ({ name, count, share: count / replyCount })),
+    hourData: stats.hourData,
+    weekdayData: stats.weekdayData,
+    timelineData: stats.timelineData,
+    topWords: stats.topWords,
+    topPhrases: stats.topPhrases,
+    topEmojis: stats.topEmojis,
+    averageTone: stats.sentiment.average
+  };
+};
@@ -0,0 +1,81 @@
+// Per-chat participant settings:
+//   me           - the sender whose messages are shown as outgoing
+//   aliases      - raw sender name → the sender it is merged into (e.g. a phone
+//                  number that later became a saved contact name)
+//   displayNames - sender → name shown in the chat and charts
+//   colors       - sender → color used for bubbles and per-sender charts
+
+export const PARTICIPANT_COLORS = ['#25D366', '#128C7E', '#075E54', '#34B7F1', '#FF5252', '#448AFF', '#7C4DFF', '#FFD740'];
+
+export const defaultParticipantSettings = () => ({
+  me: null,
+  aliases: {},
+  displayNames: {},
+  colors: {}
+});
+
+// Follows alias links to the sender a name was merged into
+export const resolveSender = (name, settings) => {
+  const seen = new Set();
+  let current = name;
+  while (settings.aliases[current] && !seen.has(current)) {
+    seen.add(current);
+    current = settings.aliases[current];
+  }
+  return current;
+};
+
+export const getDisplayName = (name, settings) => {
+  const canonical = resolveSender(name, settings);
+  return settings.displayNames[canonical] || canonical;
+};
+
+// Rewrites the sender of every row to its display name, so merged aliases
+// count as one person everywhere. The imported name is kept as rawSender.
+export const applyParticipantSettings = (rows, settings) => {
+  const names = {};
+  const displayName = (name) => {
+    if (!(name in names)) {
+      names[name] = getDisplayName(name, settings);
+    }
+    return names[name];
+  };
+  return rows.map(row => {
+    const sender = displayName(row.sender);
+    // The sender of a quoted message is renamed and merged the same way
+    const replyTo = row.replyTo && displayName(row.replyTo);
+    if (sender === row.sender && replyTo === row.replyTo) return row;
+    return row.replyTo
+      ? { ...row, rawSender: row.sender, sender, replyTo }
+      : { ...row, rawSender: row.sender, sender };
+  });
+};
+
+// Raw senders with their message counts, most active first
+export const countRawSenders = (rows) => {
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.sender] = (counts[row.sender] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([name, messages]) => ({ name, messages }))
+    .sort((a, b) => b.messages - a.messages);
+};
+
+// Builds a display name → color lookup. Senders without a chosen color get
+// the next palette color in order of activity.
+export const buildSenderColors = (rawSenders, settings) => {
+  const colors = {};
+  let paletteIndex = 0;
+
+  rawSenders.forEach(({ name }) => {
+    const canonical = resolveSender(name, settings);
+    const displayName = getDisplayName(name, settings);
+    if (colors[displayName]) return;
+
+    colors[displayName] = settings.colors[canonical]
+      || PARTICIPANT_COLORS[paletteIndex++ % PARTICIPANT_COLORS.length];
+  });
+
+  return colors;
+};
@@ -0,0 +1,169 @@
+import _ from 'lodash';
+import { replaceLinks } from './links';
+
+// Privacy mode: a view of the chat that is safe to show or share.
+//
+// Senders get stable pseudonyms ("Participant A" for the most active one, and
+// so on), and their names are replaced inside message texts as well. Phone
+// numbers, emails, links and custom keywords in the texts are redacted. The
+// rows are only transformed for display and export; the saved chat is unchanged.
+
+export const defaultPrivacySettings = () => ({
+  enabled: false,
+  pseudonyms: true,
+  phones: true,
+  emails: true,
+  urls: true,
+  hideMedia: true,
+  keywords: []
+});
+
+const EMAIL = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu;
+// 7 to 15 digits with the usual separators, e.g. "+1 (555) 123-4567"
+const PHONE = /\+?\d[\d\s().-]{5,}\d/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches whole words only, so "Ann" does not match inside "Annual"
+const wordPattern = (words) => new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${_.sortBy(words, word => -word.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+  'giu'
+);
+
+// "Participant A" ... "Participant Z", "Participant AA", ...
+const pseudonym = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `Participant ${letters}`;
+};
+
+// Real sender name → pseudonym, most active first, from message counts by name
+const pseudonymsByCount = (counts) => _.fromPairs(
+  _.sortBy(Object.keys(counts), name => -counts[name]).map((name, index) => [name, pseudonym(index)])
+);
+
+// Real sender name → pseudonym, most active sender first
+export const buildPseudonyms = (rows) => pseudonymsByCount(_.countBy(rows, 'sender'));
+
+// Names are also replaced by their first word (e.g. "Ann" for "Ann Smith")
+// when no other participant shares it
+const nameReplacements = (pseudonyms) => {
+  const replacements = { ...pseudonyms };
+  const firstNames = _.groupBy(Object.keys(pseudonyms), name => name.split(/\s+/)[0]);
+  Object.entries(firstNames).forEach(([firstName, names]) => {
+    if (names.length === 1 && firstName.length >= 3 && !replacements[firstName]) {
+      replacements[firstName] = pseudonyms[names[0]];
+    }
+  });
+  return _.mapKeys(replacements, (value, name) => name.toLowerCase());
+};
+
+const mediaPlaceholder = (attachment) => (
+  attachment.type === 'other' ? '<Media omitted>' : `${attachment.type} omitted`
+);
+
+// Returns { rows, pseudonyms } where pseudonyms maps real sender names to the
+// names shown (empty when pseudonyms are off)
+export const anonymizeRows = (rows, settings) => {
+  const pseudonyms = settings.pseudonyms ? buildPseudonyms(rows) : {};
+  const names = nameReplacements(pseudonyms);
+  const namePattern = Object.keys(names).length > 0 ? wordPattern(Object.keys(names)) : null;
+  const keywords = settings.keywords.filter(Boolean);
+  const keywordPattern = keywords.length > 0 ? wordPattern(keywords) : null;
+
+  const redact = (text) => {
+    if (!text) return text;
+    let result = text;
+    if (settings.emails) result = result.replace(EMAIL, '[email]');
+    if (settings.urls) result = replaceLinks(result, '[link]');
+    if (settings.phones) {
+      result = result.replace(PHONE, match => {
+        const digits = match.replace(/\D/g, '').length;
+        return digits >= 7 && digits <= 15 && !ISO_DATE.test(match) ? '[phone]' : match;
+      });
+    }
+    if (namePattern) result = result.replace(namePattern, match => names[match.toLowerCase()]);
+    if (keywordPattern) result = result.replace(keywordPattern, '[redacted]');
+    return result;
+  };
+
+  const anonymizeRow = (row) => {
+    const sender = pseudonyms[row.sender] || row.sender;
+    if (!row.attachment) {
+      return { ...row, sender, message: redact(row.message) };
+    }
+
+    // File names (e.g. of documents) can identify people, so hidden media
+    // keep only their type and caption
+    const caption = redact(row.attachment.caption);
+    const attachment = settings.hideMedia
+      ? { ...row.attachment, fileName: null, caption }
+      : { ...row.attachment, caption };
+    return {
+      ...row,
+      sender,
+      message: settings.hideMedia ? caption || mediaPlaceholder(row.attachment) : redact(row.message),
+      attachment
+    };
+  };
+
+  // Quoted senders who never wrote in the chat have no pseudonym and are dropped
+  const anonymized = rows.map(row => {
+    const result = anonymizeRow(row);
+    if (row.replyTo) {
+      result.replyTo = pseudonyms[row.replyTo] || (settings.pseudonyms ? undefined : row.replyTo);
+    }
+    return result;
+  });
+
+  return { rows: anonymized, pseudonyms };
+};
+
+// Group events in privacy mode. Members who never wrote in the chat get
+// pseudonyms after the senders' ones, so member counts stay right. Group
+// subjects often name people or places and are hidden, like the event text.
+export const anonymizeEvents = (events, pseudonyms, settings) => {
+  const names = { ...pseudonyms };
+  const nameOf = (name) => {
+    if (!settings.pseudonyms || name === 'You') return name;
+    if (!names[name]) names[name] = pseudonym(Object.keys(names).length);
+    return names[name];
+  };
+
+  return events.map(event => ({
+    ...event,
+    sender: null,
+    message: null,
+    actor: nameOf(event.actor),
+    targets: event.targets.map(nameOf),
+    subject: event.subject === null ? null : '[subject]'
+  }));
+};
+
+// Saved chats in privacy mode: their names often name people, so they are
+// shown as "Chat 1", "Chat 2", ... in the library's order
+export const maskChatNames = (chats) => chats.map((chat, index) => ({ ...chat, name: `Chat ${index + 1}` }));
+
+// Compared chats ({ id, name, stats }) in privacy mode. Comparing only loads
+// the stored stats, and buildComparison reads sender names from senderData
+// alone, so that is where they are replaced. The pseudonyms are shared by all
+// the chats, so someone in two of them keeps one pseudonym and the
+// participant shares still line up.
+export const anonymizeComparedChats = (chats, settings) => {
+  const counts = {};
+  chats.forEach(({ stats }) => stats.senderData.forEach(({ name, messages }) => {
+    counts[name] = (counts[name] || 0) + messages;
+  }));
+  const pseudonyms = settings.pseudonyms ? pseudonymsByCount(counts) : {};
+
+  return chats.map(chat => ({
+    ...chat,
+    stats: {
+      ...chat.stats,
+      senderData: chat.stats.senderData.map(sender => ({ ...sender, name: pseudonyms[sender.name] || sender.name }))
+    }
+  }));
+};
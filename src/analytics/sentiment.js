@@ -0,0 +1,186 @@
+import _ from 'lodash';
+
+// Offline, lexicon-based sentiment scoring. Nothing leaves the browser.
+//
+// Each known word or emoji has a score from -3 (very negative) to +3 (very
+// positive). A negation shortly before a word ("not good", "לא טוב") flips
+// and weakens it, and an intensifier ("very", "ממש") strengthens it. The sum
+// is normalized into (-1, 1), so long messages do not dominate the averages.
+// Messages without any scored word count as neutral (0).
+
+const parseLexicon = (entries) => _.fromPairs(
+  entries.trim().split(/\s+/).map(entry => {
+    const [word, score] = entry.split(':');
+    return [word, Number(score)];
+  })
+);
+
+const ENGLISH = parseLexicon(`
+  love:3 loved:3 lovely:3 amazing:3 awesome:3 fantastic:3 wonderful:3 excellent:3 perfect:3 best:3
+  brilliant:3 beautiful:3 congrats:3 congratulations:3 thrilled:3 delighted:3 adore:3 superb:3
+  great:3 happy:2 glad:2 good:2 nice:2 cool:1 fun:2 funny:2 enjoy:2 enjoyed:2 like:1 liked:1
+  thanks:2 thank:2 thx:2 appreciate:2 grateful:3 welcome:2 yay:3 lol:2 haha:2 hahaha:2 lmao:2
+  excited:3 exciting:3 cute:2 sweet:2 kind:2 proud:2 win:2 won:2 winning:2 success:2 successful:2
+  hope:1 hopefully:1 fine:1 ok:1 okay:1 yes:1 sure:1 agree:1 better:2 calm:1 safe:1 relax:1
+  relaxed:2 smile:2 laugh:2 laughing:2 hug:2 hugs:2 miss:1 missed:1 wow:2 yummy:2 delicious:3
+  pleased:2 positive:2 helpful:2 support:2 impressive:3 incredible:3 lucky:2 blessed:3 cheers:2
+  hate:-3 hated:-3 awful:-3 terrible:-3 horrible:-3 worst:-3 disgusting:-3 furious:-3 angry:-3
+  bad:-3 sad:-2 upset:-2 annoyed:-2 annoying:-2 boring:-2 bored:-2 tired:-1 sick:-2 ill:-2 hurt:-2
+  pain:-2 painful:-2 sorry:-1 unfortunately:-2 problem:-2 problems:-2 issue:-1 wrong:-2 fail:-2
+  failed:-2 failure:-2 lost:-2 lose:-2 losing:-2 cry:-2 crying:-2 cried:-2 scared:-2 afraid:-2
+  worried:-2 worry:-2 stress:-2 stressed:-2 stressful:-2 hard:-1 difficult:-1 poor:-2 ugly:-3
+  stupid:-3 idiot:-3 dumb:-2 crap:-3 damn:-2 hell:-2 shit:-3 fuck:-3 fucking:-3 wtf:-3 ugh:-2
+  disappointed:-2 disappointing:-2 disaster:-3 mess:-2 broken:-2 lonely:-2 alone:-1 miserable:-3
+  depressed:-3 jealous:-2 rude:-2 mad:-2 unfair:-2 sucks:-3 sucked:-2 late:-1 no:-1 never:-1
+  dead:-3 died:-3 death:-3 kill:-3 fear:-2 nervous:-2 frustrated:-2 frustrating:-2 hurts:-2
+`);
+
+const HEBREW = parseLexicon(`
+  אוהב:3 אוהבת:3 אוהבים:3 אהבה:3 מדהים:3 מדהימה:3 מושלם:3 מושלמת:3 מעולה:3 מצוין:3 נהדר:3
+  נפלא:3 יפה:2 יפהפה:3 מקסים:3 מקסימה:3 כיף:2 כייף:2 שמח:2 שמחה:2 שמחים:2 טוב:2 טובה:2 טובים:2
+  תודה:2 תודות:2 מזל:2 מזלטוב:3 ברכות:3 סבבה:1 אחלה:2 יאללה:1 בסדר:1 נחמד:2 נחמדה:2 חמוד:2
+  חמודה:2 מתוק:2 מתוקה:2 מצחיק:2 מצחיקה:2 חחח:2 חחחח:2 חחחחח:2 הצלחה:2 הצלחנו:2 מרגש:3 גאה:2
+  אלוף:3 אלופה:3 וואו:2 מהמם:3 מהממת:3 נהנה:2 נהנית:2 נהנינו:2 רגוע:1 בטוח:1 מגניב:2 שווה:1
+  רע:-3 רעה:-3 גרוע:-3 גרועה:-3 נורא:-3 נוראי:-3 איום:-3 שונא:-3 שונאת:-3 עצוב:-2 עצובה:-2
+  כועס:-2 כועסת:-2 עצבני:-2 עצבנית:-2 מעצבן:-2 מעצבנת:-2 משעמם:-2 עייף:-1 עייפה:-1 חולה:-2
+  כואב:-2 כאב:-2 סליחה:-1 מצטער:-1 מצטערת:-1 בעיה:-2 בעיות:-2 לחץ:-2 לחוץ:-2 לחוצה:-2 קשה:-1
+  מפחיד:-2 פחד:-2 דאגה:-2 מודאג:-2 מאכזב:-2 אכזבה:-2 בכי:-2 בוכה:-2 מסכן:-2 מסכנה:-2 טיפש:-3
+  טיפשה:-3 דפוק:-3 חרא:-3 באסה:-2 ביאס:-2 מבאס:-2 אסון:-3 שבור:-2 בודד:-2 גועל:-3 מגעיל:-3
+  מת:-2 מוות:-3 נמאס:-2 חבל:-1 מתוסכל:-2
+`);
+
+// Single emoji (without the U+FE0F variation selector) → score
+const EMOJI = {
+  '❤': 3, '😍': 3, '🥰': 3, '😘': 2, '😊': 2, '😁': 2, '😀': 2, '😃': 2, '😄': 2, '🙂': 1, '😂': 2,
+  '🤣': 2, '👍': 2, '👏': 2, '🙏': 1, '🎉': 3, '🥳': 3, '💪': 2, '🔥': 1, '😎': 2, '🤗': 2, '💕': 3,
+  '💖': 3, '😢': -2, '😭': -2, '😞': -2, '😔': -2, '😩': -2, '😡': -3, '😠': -3, '🤬': -3, '💔': -3,
+  '🙁': -1, '☹': -2, '👎': -2, '😤': -2, '😒': -2, '🤦': -1, '😱': -1, '😨': -2
+};
+
+const NEGATIONS = new Set([
+  'not', "don't", 'dont', "didn't", "isn't", "wasn't", "aren't", "can't", 'cant', "won't", "doesn't",
+  'nothing', 'without', 'לא', 'אין', 'בלי', 'אף'
+]);
+const INTENSIFIERS = new Set(['very', 'so', 'really', 'too', 'extremely', 'super', 'totally', 'מאוד', 'ממש', 'הכי', 'סופר']);
+
+// Words within this distance after a negation are flipped
+const NEGATION_WINDOW = 3;
+const NEGATION_FACTOR = -0.5;
+const INTENSIFIER_FACTOR = 1.5;
+// Averages above or below this count as positive or negative
+const NEUTRAL_BAND = 0.05;
+// Days need this many scored messages to be ranked
+const MIN_MESSAGES_PER_DAY = 5;
+const TOP_DAYS = 5;
+
+// Hebrew attaches prepositions and articles to the word: "והכי", "בטוב", "שהטוב"
+const HEBREW_PREFIX_LETTERS = /^[והבלמשכ]+/;
+const MAX_HEBREW_PREFIX = 2;
+// Shorter remainders are too often a different word ("שמת" is not "מת")
+const MIN_STRIPPED_LENGTH = 3;
+
+const wordScore = (word) => {
+  if (ENGLISH[word] !== undefined) return ENGLISH[word];
+  if (HEBREW[word] !== undefined) return HEBREW[word];
+  const prefix = word.match(HEBREW_PREFIX_LETTERS);
+  if (!prefix) return 0;
+  for (let length = 1; length <= Math.min(prefix[0].length, MAX_HEBREW_PREFIX); length++) {
+    const stripped = word.slice(length);
+    if (stripped.length < MIN_STRIPPED_LENGTH) break;
+    if (HEBREW[stripped] !== undefined) return HEBREW[stripped];
+  }
+  return 0;
+};
+
+// Score of one message in (-1, 1), or null when it has no text.
+// words are the lowercase tokens of the message, emojis its emojis.
+export const scoreMessage = (words, emojis) => {
+  if (words.length === 0 && emojis.length === 0) return null;
+
+  let total = 0;
+  let negatedUntil = -1;
+  words.forEach((word, index) => {
+    if (NEGATIONS.has(word)) {
+      negatedUntil = index + NEGATION_WINDOW;
+      return;
+    }
+    let score = wordScore(word);
+    if (score === 0) return;
+    if (index > 0 && INTENSIFIERS.has(words[index - 1])) score *= INTENSIFIER_FACTOR;
+    if (index <= negatedUntil) score *= NEGATION_FACTOR;
+    total += score;
+  });
+  emojis.forEach(emoji => {
+    total += EMOJI[emoji.replace(/\uFE0F/g, '')] || 0;
+  });
+
+  return total / Math.sqrt(total * total + 15);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const emptyTotals = () => ({ sum: 0, count: 0, positive: 0, negative: 0 });
+
+const addScore = (totals, score) => {
+  totals.sum += score;
+  totals.count++;
+  if (score > NEUTRAL_BAND) totals.positive++;
+  if (score < -NEUTRAL_BAND) totals.negative++;
+};
+
+const average = (totals) => (totals.count > 0 ? parseFloat((totals.sum / totals.count).toFixed(3)) : 0);
+const share = (count, totals) => (totals.count > 0 ? parseFloat(((count / totals.count) * 100).toFixed(1)) : 0);
+
+// Collects message scores during calculateStats' pass over the rows
+export const createSentimentTracker = () => {
+  const overall = emptyTotals();
+  const byMonth = {};
+  const bySender = {};
+  const byDay = {};
+
+  return {
+    add: (row, month, words, emojis) => {
+      const score = scoreMessage(words, emojis);
+      if (score === null) return;
+
+      addScore(overall, score);
+      if (month) addScore(byMonth[month] || (byMonth[month] = emptyTotals()), score);
+      addScore(bySender[row.sender] || (bySender[row.sender] = emptyTotals()), score);
+      if (row.datetime) {
+        const key = `${row.datetime.getFullYear()}-${pad(row.datetime.getMonth() + 1)}-${pad(row.datetime.getDate())}`;
+        if (!byDay[key]) byDay[key] = { ...emptyTotals(), date: row.date };
+        addScore(byDay[key], score);
+      }
+    },
+
+    // { average, positive, negative, timelineData, bySenderData, mostPositiveDays,
+    // mostNegativeDays }; positive and negative are shares of messages in %
+    result: () => {
+      const rankedDays = Object.entries(byDay)
+        .filter(([key, totals]) => totals.count >= MIN_MESSAGES_PER_DAY)
+        .map(([key, totals]) => ({ key, date: totals.date, average: average(totals), count: totals.count }));
+
+      return {
+        average: average(overall),
+        positive: share(overall.positive, overall),
+        negative: share(overall.negative, overall),
+        timelineData: Object.keys(byMonth).sort().map(month => ({
+          month,
+          average: average(byMonth[month]),
+          positive: share(byMonth[month].positive, byMonth[month]),
+          negative: share(byMonth[month].negative, byMonth[month])
+        })),
+        bySenderData: Object.entries(bySender)
+          .map(([name, totals]) => ({
+            name,
+            average: average(totals),
+            positive: share(totals.positive, totals),
+            negative: share(totals.negative, totals)
+          }))
+          .sort((a, b) => b.average - a.average),
+        mostPositiveDays: _.sortBy(rankedDays, day => -day.average).slice(0, TOP_DAYS).filter(day => day.average > 0),
+        mostNegativeDays: _.sortBy(rankedDays, day => day.average).slice(0, TOP_DAYS).filter(day => day.average < 0)
+      };
+    }
+  };
+};
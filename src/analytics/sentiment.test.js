@@ -0,0 +1,16 @@
+import { scoreMessage } from './sentiment';
+
+describe('scoreMessage', () => {
+  it('scores Hebrew words behind prefixes', () => {
+    expect(scoreMessage(['בטוב'], [])).toBeGreaterThan(0);
+    expect(scoreMessage(['והטובים'], [])).toBeGreaterThan(0);
+    expect(scoreMessage(['שהמעצבן'], [])).toBeLessThan(0);
+  });
+
+  it('does not strip ordinary words down to short lexicon entries', () => {
+    // שמת ("you put") is not מת ("dead")
+    expect(scoreMessage(['שמת', 'לב'], [])).toBe(0);
+    expect(scoreMessage(['ברע'], [])).toBe(0);
+    expect(scoreMessage(['מת'], [])).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,71 @@
+import { senderQuery } from '../search/chatQuery';
+
+// Filters for the Statistics tab: a date range (from a preset or custom
+// dates) and an optional subset of senders. Presets are relative to the last
+// message of the chat, since exports are usually analyzed after the fact.
+
+export const defaultStatsFilters = () => ({
+  preset: 'all',
+  from: null,
+  to: null,
+  senders: []
+});
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+const pad = (value) => String(value).padStart(2, '0');
+const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const daysBefore = (date, days) => {
+  const result = startOfDay(date);
+  result.setDate(result.getDate() - days + 1);
+  return result;
+};
+
+// Preset options for a chat whose messages span first..last
+export const getDatePresets = (first, last) => {
+  const presets = [
+    { id: 'all', label: 'All time', from: null, to: null },
+    { id: 'last30', label: 'Last 30 days', from: daysBefore(last, 30), to: endOfDay(last) },
+    { id: 'last90', label: 'Last 90 days', from: daysBefore(last, 90), to: endOfDay(last) },
+    { id: 'last365', label: 'Last 12 months', from: daysBefore(last, 365), to: endOfDay(last) }
+  ];
+
+  // One preset per calendar year in the chat, to compare years side by side
+  for (let year = last.getFullYear(); year >= first.getFullYear(); year--) {
+    presets.push({
+      id: `year-${year}`,
+      label: String(year),
+      from: new Date(year, 0, 1),
+      to: new Date(year, 11, 31, 23, 59, 59, 999)
+    });
+  }
+
+  return presets;
+};
+
+export const isFilterActive = (filters) => Boolean(filters.from || filters.to || filters.senders.length > 0);
+
+export const filterRows = (rows, filters) => {
+  const senders = filters.senders.length > 0 ? new Set(filters.senders) : null;
+  return rows.filter(row => (
+    (!filters.from || row.datetime >= filters.from)
+    && (!filters.to || row.datetime <= filters.to)
+    && (!senders || senders.has(row.sender))
+  ));
+};
+
+// The chat search for the filters, so that messages opened from the
+// Statistics tab are the ones it counted
+export const filterQuery = (filters) => [
+  filters.from && `after:${dayKey(filters.from)}`,
+  filters.to && `before:${dayKey(filters.to)}`,
+  ...filters.senders.map(senderQuery)
+].filter(Boolean).join(' ');
+
+// Bounds of a custom range picked with <input type="date"> values
+export const customRange = (fromValue, toValue) => ({
+  from: fromValue ? startOfDay(new Date(`${fromValue}T00:00:00`)) : null,
+  to: toValue ? endOfDay(new Date(`${toValue}T00:00:00`)) : null
+});
@@ -0,0 +1,217 @@
+import { replaceLinks } from './links';
+import { DELETED_MESSAGE } from '../parsing/deletedMessages';
+
+// Text processing for the word and phrase statistics: tokenization that
+// works for Latin, Hebrew, Arabic and Cyrillic scripts, language detection,
+// built-in stopword lists, custom exclusions and optional light stemming.
+
+export const LANGUAGES = {
+  en: 'English',
+  he: 'Hebrew',
+  ar: 'Arabic',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  ru: 'Russian'
+};
+
+const STOPWORDS = {
+  en: `a about after again all also am an and any are as at be because been before being but by can
+    could did do does doing dont don't down for from get got had has have having he her here hers him his
+    how i i'm im if in into is isn't it it's its just know like me more most my no not now of off ok okay
+    on once one only or other our out over own re really same she should so some such than that that's
+    the their them then there these they this those through to too up us very was we were what when where
+    which while who why will with would yeah yes you you're your yours`,
+  he: `אבל או אולי אז אחד אחרי אין איך אני אנחנו את אתה אתם אתן אתמול בגלל בסדר גם היא היה היו הוא הם הן
+    זאת זה זו יהיה יש כבר כולם כי כל כמו כן לא לי לך לכם לנו לו לה להם מה מי מאוד מתי עוד על עם עכשיו
+    שלי שלך שלו שלה שלנו שלהם של שם רק כך כן אם אל ממש טוב אוקי נו יותר פה כאן היום מחר`,
+  ar: `في من على إلى عن مع هذا هذه ذلك التي الذي هو هي أنا انت أنت نحن هم ما لا لم لن أن إن كان كانت
+    قد ثم أو و يا كل بعد قبل عند بس اللي مش ايش`,
+  es: `a al algo como con de del el ella ellos en es esa ese esta este esto está están estoy fue ha hay
+    la las le les lo los me mi muy más nada no nos o para pero por porque que qué se si sí sin su sus
+    también te tu tú un una uno y ya yo`,
+  pt: `a ao aos as até com como da das de do dos e ela ele eles em era essa esse esta este estou eu foi
+    há isso já mais mas me meu minha muito na não nas no nos o os ou para pela pelo por que se sem ser
+    seu sua são também te tem tu um uma você vc`,
+  fr: `à au aux avec ce ces c'est dans de des du elle en est et eu il ils je j'ai la le les leur lui ma
+    mais me mes moi mon ne nous on ou où par pas pour qu que qui sa se ses son sur ta te tes toi ton tu
+    un une vous y ça`,
+  de: `aber alle als also am an auch auf aus bei bin bis bist da das dass dein dem den der des die doch
+    du ein eine einen er es für hab habe hat ich ihr im in ist ja jetzt kann mal man mein mich mir mit
+    nicht noch nur oder schon sein sich sie sind so und uns von war was wie wir zu zum zur`,
+  it: `a ad al alla anche che chi ci come con da del della di e è gli ha ho i il in io la le lei lo lui
+    ma mi mio ne nel no non per più quello questo se si sono su ti tu un una uno`,
+  ru: `а без бы был была были в вы да для до его ее её если есть же за и из или им их к как когда
+    кто ли мне мы на не нет но ну о об он она они от по при с так там то ты у уже что это я`
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(/\s+/).filter(Boolean))])
+);
+
+// Languages whose stopword list contains a word ("a" is English, Spanish, Portuguese and Italian)
+const STOPWORD_LANGUAGES = {};
+Object.entries(STOPWORD_SETS).forEach(([language, words]) => {
+  words.forEach(word => {
+    STOPWORD_LANGUAGES[word] = [...(STOPWORD_LANGUAGES[word] || []), language];
+  });
+});
+
+// Scripts that identify a language on their own
+const SCRIPT_LANGUAGES = [
+  { language: 'he', pattern: /\p{Script=Hebrew}/u },
+  { language: 'ar', pattern: /\p{Script=Arabic}/u },
+  { language: 'ru', pattern: /\p{Script=Cyrillic}/u }
+];
+
+const RTL_LANGUAGES = ['he', 'ar'];
+
+export const isRtlLanguage = (language) => RTL_LANGUAGES.includes(language);
+
+// Texts WhatsApp puts in place of a message, in place of media or after edits
+const PLACEHOLDERS = [
+  /<media omitted>/gi,
+  /<this message was edited>/gi,
+  DELETED_MESSAGE,
+  /^null$/i,
+  /^(image|video|audio|sticker|gif|document|contact card) omitted$/i,
+  /^missed (voice|video) call$/i
+];
+
+// Letters, digits and marks, plus apostrophes and Hebrew geresh/gershayim
+// inside words (don't, צה"ל, ג'ירפה)
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+(?:['\u2019"\u05F3\u05F4][\p{L}\p{N}\p{M}]+)*/gu;
+
+// Hebrew and Arabic vowel points do not change the word
+const DIACRITICS = /[\u0591-\u05C7\u064B-\u065F]/g;
+
+export const defaultTextSettings = () => ({
+  removeStopwords: true,
+  // null detects the chat's languages from its messages
+  languages: null,
+  customExclusions: [],
+  lemmatize: false
+});
+
+const stripPlaceholders = (text) => {
+  let result = text;
+  PLACEHOLDERS.forEach(pattern => {
+    result = result.replace(pattern, ' ');
+  });
+  return replaceLinks(result, ' ');
+};
+
+// Splits a message into lowercase words
+export const tokenize = (text) => {
+  if (!text) return [];
+  const cleaned = stripPlaceholders(text.trim())
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(DIACRITICS, '')
+    .replace(/\u2019/g, "'");
+  return cleaned.match(WORD_PATTERN) || [];
+};
+
+const SAMPLE_SIZE = 3000;
+const MIN_LANGUAGE_SHARE = 0.15;
+
+// Detects the languages of a chat from the stopwords and scripts of an even
+// sample of its messages. Returns language codes, most frequent first.
+export const detectLanguages = (rows) => {
+  const step = Math.max(1, Math.floor(rows.length / SAMPLE_SIZE));
+  const hits = Object.fromEntries(Object.keys(LANGUAGES).map(language => [language, 0]));
+
+  for (let index = 0; index < rows.length; index += step) {
+    const words = tokenize(rows[index].message);
+    words.forEach(word => {
+      const script = SCRIPT_LANGUAGES.find(({ pattern }) => pattern.test(word));
+      if (script) {
+        hits[script.language]++;
+        return;
+      }
+      // A stopword shared by several languages is weak evidence for each of them
+      const candidates = STOPWORD_LANGUAGES[word] || [];
+      candidates.forEach(language => {
+        hits[language] += 1 / candidates.length;
+      });
+    });
+  }
+
+  const ranked = Object.entries(hits)
+    .filter(([language, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) return ['en'];
+
+  const top = ranked[0][1];
+  return ranked
+    .filter(([language, count]) => count >= top * MIN_LANGUAGE_SHARE)
+    .map(([language]) => language);
+};
+
+// Light suffix stripping that merges plurals and similar forms. It is
+// deliberately conservative: a missed merge is better than a wrong one.
+const stemmers = {
+  en: (word) => {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 5 && word.endsWith('ing')) {
+      const stem = word.slice(0, -3);
+      return /(.)\1$/.test(stem) && !/(ll|ss)$/.test(stem) ? stem.slice(0, -1) : stem;
+    }
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+  },
+  he: (word) => {
+    if (word.length > 4 && /(ים|ות)$/.test(word)) return word.slice(0, -2);
+    return word;
+  },
+  es: (word) => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word),
+  pt: (word) => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word),
+  fr: (word) => (word.length > 4 && /[sx]$/.test(word) ? word.slice(0, -1) : word)
+};
+
+const scriptOf = (word) => {
+  const script = SCRIPT_LANGUAGES.find(({ pattern }) => pattern.test(word));
+  return script ? script.language : null;
+};
+
+// Builds the functions calculateStats uses to count words and phrases
+export const createTextProcessor = (settings, languages) => {
+  const stopwords = new Set();
+  if (settings.removeStopwords) {
+    languages.forEach(language => {
+      STOPWORD_SETS[language].forEach(word => stopwords.add(word));
+    });
+  }
+  const exclusions = new Set(settings.customExclusions.flatMap(tokenize));
+  // Words in Hebrew, Arabic or Cyrillic script use their script's stemmer,
+  // everything else the stemmer of the first detected Latin-script language
+  const latinStemmer = languages
+    .filter(language => !SCRIPT_LANGUAGES.some(script => script.language === language))
+    .map(language => stemmers[language])
+    .find(Boolean);
+
+  return {
+    tokenize,
+    // Stopwords and exclusions are matched before stemming, so "was" stays "was"
+    isWord: (word) => (
+      word.length > 1
+      && !/^\p{N}+$/u.test(word)
+      && !stopwords.has(word)
+      && !exclusions.has(word)
+    ),
+    lemmatize: (word) => {
+      if (!settings.lemmatize) return word;
+      const stemmer = stemmers[scriptOf(word)] || latinStemmer;
+      return stemmer ? stemmer(word) : word;
+    },
+    // Phrases that start or end with a stopword ("the pizza and") are
+    // fragments of longer phrases
+    isPhrase: (words) => (
+      !stopwords.has(words[0])
+      && !stopwords.has(words[words.length - 1])
+      && !words.some(word => exclusions.has(word))
+    )
+  };
+};
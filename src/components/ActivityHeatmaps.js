@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { WEEKDAYS } from '../parsing/dateFormat';
+import { senderQuery } from '../search/chatQuery';
+
+const HEAT_COLORS = ['#ebedf0', '#c6f1d6', '#8be0a9', '#25D366', '#128C7E', '#075E54'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const CELL = 13;
+const CELL_GAP = 2;
+const LABEL_WIDTH = 30;
+
+// Square root scaling keeps quiet days visible next to a few very busy ones
+const heatColor = (count, max) => {
+  if (!count) return HEAT_COLORS[0];
+  const level = Math.ceil(Math.sqrt(count / max) * (HEAT_COLORS.length - 1));
+  return HEAT_COLORS[Math.max(1, level)];
+};
+
+const dayKey = (date) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+const WeekdayHourHeatmap = ({ stats, onShowInChat }) => {
+  const [sender, setSender] = useState('');
+  const matrix = (sender && stats.activityMatrixBySender[sender]) || stats.activityMatrix;
+  const max = Math.max(1, ...matrix.flat());
+
+  const showCell = (day, hour) => {
+    const from = sender ? `${senderQuery(sender)} ` : '';
+    onShowInChat(`${from}day:${WEEKDAYS[day].slice(0, 3).toLowerCase()} hour:${hour}`);
+  };
+
+  return (
+    <div className="stat-card">
+      <div className="stat-title">Activity by Day and Hour</div>
+      <div className="filter-row" style={{ marginBottom: '15px' }}>
+        <span className="filter-label">Sender</span>
+        <select value={sender} onChange={(e) => setSender(e.target.value)}>
+          <option value="">Everyone</option>
+          {Object.keys(stats.activityMatrixBySender).map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="heatmap-grid">
+        <div />
+        {matrix[0].map((count, hour) => (
+          <div key={hour} className="heatmap-label">{hour % 3 === 0 ? hour : ''}</div>
+        ))}
+        {matrix.map((hours, day) => (
+          <React.Fragment key={WEEKDAYS[day]}>
+            <div className="heatmap-label">{WEEKDAYS[day].slice(0, 3)}</div>
+            {hours.map((count, hour) => (
+              <div
+                key={hour}
+                className="heatmap-cell"
+                style={{ backgroundColor: heatColor(count, max) }}
+                title={`${WEEKDAYS[day]} ${hour}:00–${hour + 1}:00: ${count.toLocaleString()} messages`}
+                onClick={() => count > 0 && showCell(day, hour)}
+              />
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+      <p className="filter-summary" style={{ marginTop: '10px' }}>Click a cell to see those messages in the chat.</p>
+    </div>
+  );
+};
+
+// One GitHub-style year of days: a column per week, Sunday on top
+const CalendarYear = ({ year, counts, max, first, last, onShowDay }) => {
+  const start = new Date(year, 0, 1);
+  const offset = start.getDay();
+  const cells = [];
+  const monthLabels = [];
+
+  for (let date = new Date(start); date.getFullYear() === year; date.setDate(date.getDate() + 1)) {
+    const index = Math.round((Date.UTC(year, date.getMonth(), date.getDate()) - Date.UTC(year, 0, 1)) / 86400000);
+    const week = Math.floor((index + offset) / 7);
+    if (date.getDate() === 1) {
+      monthLabels.push({ month: date.getMonth(), x: LABEL_WIDTH + week * (CELL + CELL_GAP) });
+    }
+    if (date < first || date > last) continue;
+
+    const key = dayKey(date);
+    const count = counts[key] || 0;
+    cells.push(
+      <rect
+        key={key}
+        x={LABEL_WIDTH + week * (CELL + CELL_GAP)}
+        y={15 + date.getDay() * (CELL + CELL_GAP)}
+        width={CELL}
+        height={CELL}
+        rx={2}
+        fill={heatColor(count, max)}
+        className={count > 0 ? 'calendar-day active' : 'calendar-day'}
+        onClick={() => count > 0 && onShowDay(key)}
+      >
+        <title>{`${date.toLocaleDateString()}: ${count.toLocaleString()} messages`}</title>
+      </rect>
+    );
+  }
+
+  return (
+    <div className="calendar-year">
+      <div className="calendar-year-label">{year}</div>
+      <svg width={LABEL_WIDTH + 54 * (CELL + CELL_GAP)} height={15 + 7 * (CELL + CELL_GAP)}>
+        {monthLabels.map(({ month, x }) => (
+          <text key={month} x={x} y={10} className="calendar-text">{MONTHS[month]}</text>
+        ))}
+        {[1, 3, 5].map(day => (
+          <text key={day} x={0} y={15 + day * (CELL + CELL_GAP) + CELL - 2} className="calendar-text">
+            {WEEKDAYS[day].slice(0, 3)}
+          </text>
+        ))}
+        {cells}
+      </svg>
+    </div>
+  );
+};
+
+const CalendarHeatmap = ({ stats, onShowInChat }) => {
+  const days = stats.dailyTimelineData.filter(day => day.sortDate);
+  if (days.length === 0) return null;
+
+  const counts = {};
+  days.forEach(day => {
+    counts[dayKey(day.sortDate)] = (counts[dayKey(day.sortDate)] || 0) + day.count;
+  });
+  const max = Math.max(1, ...Object.values(counts));
+
+  const firstDay = days[0].sortDate;
+  const lastDay = days[days.length - 1].sortDate;
+  const first = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate());
+  const last = new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate());
+
+  const years = [];
+  for (let year = last.getFullYear(); year >= first.getFullYear(); year--) {
+    years.push(year);
+  }
+
+  return (
+    <div className="stat-card">
+      <div className="stat-title">Calendar</div>
+      <div className="calendar-heatmap">
+        {years.map(year => (
+          <CalendarYear
+            key={year}
+            year={year}
+            counts={counts}
+            max={max}
+            first={first}
+            last={last}
+            onShowDay={(key) => onShowInChat(`after:${key} before:${key}`)}
+          />
+        ))}
+      </div>
+      <p className="filter-summary" style={{ marginTop: '10px' }}>Click a day to see its messages in the chat.</p>
+    </div>
+  );
+};
+
+// Heatmaps of when the chat is active. onShowInChat opens the Chat tab
+// with a search for the clicked cell.
+const ActivityHeatmaps = ({ stats, onShowInChat }) => (
+  <>
+    {stats.activityMatrix && <WeekdayHourHeatmap stats={stats} onShowInChat={onShowInChat} />}
+    <CalendarHeatmap stats={stats} onShowInChat={onShowInChat} />
+  </>
+);
+
+export default ActivityHeatmaps;
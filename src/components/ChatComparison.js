@@ -0,0 +1,157 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line
+} from 'recharts';
+import { PARTICIPANT_COLORS } from '../analytics/participants';
+
+const formatDate = (date) => (date ? date.toLocaleDateString() : '—');
+
+const chatColor = (index) => PARTICIPANT_COLORS[index % PARTICIPANT_COLORS.length];
+
+// Rows of the summary table: label and how to show the value of one chat
+const SUMMARY_ROWS = [
+  { label: 'Messages', value: chat => chat.messages.toLocaleString() },
+  { label: 'Participants', value: chat => chat.participants },
+  { label: 'Date range', value: chat => `${formatDate(chat.startDate)} – ${formatDate(chat.endDate)}` },
+  { label: 'Active days', value: chat => `${chat.activeDays.toLocaleString()} (${chat.activeDayShare}% of the range)` },
+  { label: 'Messages per active day', value: chat => chat.messagesPerActiveDay },
+  { label: 'Words per message', value: chat => chat.wordsPerMessage },
+  { label: 'Emojis per message', value: chat => chat.emojisPerMessage },
+  { label: 'Media shared', value: chat => chat.media.toLocaleString() },
+  { label: 'Busiest hour', value: chat => chat.peakHour || '—' },
+  { label: 'Most active sender', value: chat => (chat.topSender ? `${chat.topSender.name} (${chat.topSender.share}%)` : '—') },
+  { label: 'Most active day', value: chat => `${chat.mostActiveDay.date} (${chat.mostActiveDay.count})` }
+];
+
+// Compare tab: pick saved chats and see them on shared axes.
+// comparison is the result of buildComparison for the selected chats.
+const ChatComparison = ({ chats, selectedIds, comparison, onChange }) => {
+  const toggle = (id) => onChange(
+    selectedIds.includes(id) ? selectedIds.filter(selected => selected !== id) : [...selectedIds, id]
+  );
+
+  const series = comparison ? comparison.chats.map((chat, index) => ({ ...chat, color: chatColor(index) })) : [];
+
+  return (
+    <div className="stats-container">
+      <h2 style={{ fontSize: '24px', marginBottom: '20px' }}>Compare Chats</h2>
+
+      <div className="filter-bar">
+        <div className="filter-row">
+          <span className="filter-label">Chats</span>
+          {chats.map(chat => (
+            <button
+              key={chat.id}
+              className={`sender-chip ${selectedIds.includes(chat.id) ? 'selected' : ''}`}
+              onClick={() => toggle(chat.id)}
+            >
+              {chat.name}
+            </button>
+          ))}
+        </div>
+        <p className="filter-summary">
+          {selectedIds.length < 2
+            ? 'Pick two or more chats from your library.'
+            : `Comparing ${selectedIds.length} chats.`}
+        </p>
+      </div>
+
+      {comparison && (
+        <>
+          {/* Summary Table */}
+          <div className="stat-card">
+            <div className="stat-title">Summary</div>
+            <div style={{ overflowX: 'auto' }}>
+              <table className="stats-table">
+                <thead>
+                  <tr>
+                    <th />
+                    {series.map(chat => (
+                      <th key={chat.id} style={{ color: chat.color }}>{chat.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {SUMMARY_ROWS.map(row => (
+                    <tr key={row.label}>
+                      <td style={{ fontWeight: 'bold' }}>{row.label}</td>
+                      {comparison.summaries.map(chat => (
+                        <td key={chat.id}>{row.value(chat)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Monthly Timelines */}
+          <div className="stat-card">
+            <div className="stat-title">Messages per Month</div>
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={comparison.timelineData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  {series.map(chat => (
+                    <Line
+                      key={chat.id}
+                      type="monotone"
+                      dataKey={chat.id}
+                      name={chat.name}
+                      stroke={chat.color}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* Hour Distributions */}
+          <div className="stat-card">
+            <div className="stat-title">Messages by Hour (% of each chat)</div>
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={comparison.hourData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="hour" />
+                  <YAxis unit="%" />
+                  <Tooltip formatter={(value) => `${value}%`} />
+                  <Legend />
+                  {series.map(chat => (
+                    <Line key={chat.id} type="monotone" dataKey={chat.id} name={chat.name} stroke={chat.color} />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* Participant Shares */}
+          <div className="stat-card">
+            <div className="stat-title">Participant Share of Messages</div>
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={comparison.participantData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis unit="%" />
+                  <Tooltip formatter={(value) => `${value}%`} />
+                  <Legend />
+                  {series.map(chat => (
+                    <Bar key={chat.id} dataKey={chat.id} name={chat.name} fill={chat.color} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChatComparison;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+
+const formatDate = (date) => (date ? date.toLocaleDateString() : '—');
+
+// List of previously imported chats saved in the browser. Without onRename
+// (e.g. while the names are masked) chats cannot be renamed.
+const ChatLibrary = ({ chats, currentChatId, onOpen, onRename, onDelete }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const startRename = (chat) => {
+    setEditingId(chat.id);
+    setDraftName(chat.name);
+  };
+
+  const submitRename = (event) => {
+    event.preventDefault();
+    if (draftName.trim()) {
+      onRename(editingId, draftName.trim());
+    }
+    setEditingId(null);
+  };
+
+  if (chats.length === 0) return null;
+
+  return (
+    <div className="chat-library">
+      <h3 className="stat-title">Your Chats</h3>
+      <p style={{ color: '#666', fontSize: '13px', marginBottom: '10px' }}>
+        Saved in this browser only. Nothing is uploaded.
+      </p>
+      <table className="library-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Participants</th>
+            <th>Messages</th>
+            <th>Date Range</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {chats.map(chat => (
+            <tr key={chat.id} className={chat.id === currentChatId ? 'current' : ''}>
+              <td>
+                {editingId === chat.id ? (
+                  <form onSubmit={submitRename}>
+                    <input
+                      autoFocus
+                      value={draftName}
+                      onChange={(e) => setDraftName(e.target.value)}
+                      onBlur={submitRename}
+                      className="library-rename"
+                    />
+                  </form>
+                ) : chat.name}
+              </td>
+              <td>{chat.participantCount}</td>
+              <td>{chat.messageCount.toLocaleString()}</td>
+              <td>{formatDate(chat.startDate)} – {formatDate(chat.endDate)}</td>
+              <td className="library-actions">
+                <button onClick={() => onOpen(chat.id)}>Open</button>
+                {onRename && <button onClick={() => startRename(chat)}>Rename</button>}
+                <button
+                  onClick={() => window.confirm(`Delete "${chat.name}" from this browser?`) && onDelete(chat.id)}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ChatLibrary;
@@ -0,0 +1,290 @@
+import React, {
+  forwardRef, useCallback, useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState
+} from 'react';
+import MessageBubble from './MessageBubble';
+
+// Windowed renderer for the chat transcript. Only the date dividers and
+// bubbles near the viewport are in the DOM; the rest are represented by their
+// measured (or estimated) heights, so chats with tens of thousands of
+// messages scroll and filter smoothly.
+
+const ESTIMATED_DIVIDER_HEIGHT = 44;
+const ESTIMATED_MESSAGE_HEIGHT = 62;
+const ESTIMATED_MEDIA_HEIGHT = 300;
+
+// Extra pixels rendered above and below the viewport
+const OVERSCAN = 800;
+
+// Distance from the bottom within which the transcript keeps following new layout
+const STICKY_BOTTOM_THRESHOLD = 50;
+
+// Flattens the messages into date dividers followed by that day's bubbles
+const buildItems = (messages) => {
+  const items = [];
+  let lastDate = null;
+
+  messages.forEach(msg => {
+    if (msg.date !== lastDate) {
+      items.push({ type: 'divider', key: `d-${msg.id}`, date: msg.date, datetime: msg.datetime });
+      lastDate = msg.date;
+    }
+    items.push({ type: 'message', key: `m-${msg.id}`, msg, datetime: msg.datetime });
+  });
+
+  return items;
+};
+
+const estimateHeight = (item, media) => {
+  if (item.type === 'divider') return ESTIMATED_DIVIDER_HEIGHT;
+  const { attachment } = item.msg;
+  return attachment && media[attachment.fileName] ? ESTIMATED_MEDIA_HEIGHT : ESTIMATED_MESSAGE_HEIGHT;
+};
+
+// Index of the last item starting at or before y
+const findItemAt = (offsets, y) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= y) low = mid;
+    else high = mid - 1;
+  }
+  return Math.max(low, 0);
+};
+
+// Index of the first item matching the predicate, for predicates that are
+// false then true along the (chronological) item list
+const findFirst = (items, predicate) => {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (predicate(items[mid])) high = mid;
+    else low = mid + 1;
+  }
+  return low;
+};
+
+// Wrapper that registers its element with the shared ResizeObserver while mounted
+const MeasuredItem = ({ itemKey, observer, children }) => {
+  const elementRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const element = elementRef.current;
+    if (!observer || !element) return undefined;
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  }, [observer]);
+
+  return (
+    <div ref={elementRef} data-key={itemKey} style={{ display: 'flow-root' }}>
+      {children}
+    </div>
+  );
+};
+
+const ChatTranscript = forwardRef(({
+  messages, media, outgoingSender, senderColors = {}, query = null, hitIds = null, currentHitId = null
+}, ref) => {
+  const containerRef = useRef(null);
+  const anchorRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+  // Measured heights by item key; replaced (not changed) when items are measured
+  const [heights, setHeights] = useState(() => new Map());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  const items = useMemo(() => buildItems(messages), [messages]);
+
+  const keyIndex = useMemo(
+    () => new Map(items.map((item, index) => [item.key, index])),
+    [items]
+  );
+
+  // offsets[i] is the top of item i; offsets[items.length] is the total height
+  const offsets = useMemo(() => {
+    const result = new Array(items.length + 1);
+    result[0] = 0;
+    items.forEach((item, index) => {
+      const height = heights.get(item.key);
+      result[index + 1] = result[index] + (height !== undefined ? height : estimateHeight(item, media));
+    });
+    return result;
+  }, [items, media, heights]);
+
+  const totalHeight = offsets[items.length];
+
+  const setScrollPosition = useCallback((top) => {
+    const container = containerRef.current;
+    if (!container) return;
+    container.scrollTop = top;
+    setScrollTop(container.scrollTop);
+  }, []);
+
+  // The layout of the latest render, for the observer and for effects that
+  // run on other changes than the layout
+  const layoutRef = useRef({});
+  layoutRef.current = { keyIndex, offsets, heights };
+
+  // One observer measures every rendered item. Height changes above the
+  // viewport shift the scroll position so the visible messages stay put.
+  const observerRef = useRef(null);
+
+  if (!observerRef.current && typeof ResizeObserver !== 'undefined') {
+    observerRef.current = new ResizeObserver(entries => {
+      const container = containerRef.current;
+      if (!container) return;
+
+      const { keyIndex: currentKeyIndex, offsets: currentOffsets, heights: currentHeights } = layoutRef.current;
+      const measured = [];
+      let shiftAbove = 0;
+
+      entries.forEach(entry => {
+        const key = entry.target.dataset.key;
+        const height = entry.target.offsetHeight;
+        const index = currentKeyIndex.get(key);
+        if (index === undefined || height === 0) return;
+
+        const previous = currentOffsets[index + 1] - currentOffsets[index];
+        if (previous === height && currentHeights.has(key)) return;
+
+        measured.push([key, height]);
+        if (currentOffsets[index] < container.scrollTop) {
+          shiftAbove += height - previous;
+        }
+      });
+
+      if (measured.length === 0) return;
+      if (shiftAbove !== 0 && !stickToBottomRef.current) {
+        container.scrollTop += shiftAbove;
+      }
+      setHeights(current => {
+        const next = new Map(current);
+        measured.forEach(([key, height]) => next.set(key, height));
+        return next;
+      });
+    });
+  }
+
+  useEffect(() => () => {
+    if (observerRef.current) observerRef.current.disconnect();
+  }, []);
+
+  // Track the viewport size
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    setViewportHeight(container.clientHeight);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // When the message list changes (e.g. the search term), keep the message
+  // that was at the top of the viewport in place instead of jumping around.
+  // The offsets come from layoutRef: measurements alone must not re-anchor.
+  useLayoutEffect(() => {
+    const { offsets: currentOffsets } = layoutRef.current;
+    if (stickToBottomRef.current || !anchorRef.current) {
+      setScrollPosition(currentOffsets[items.length]);
+      return;
+    }
+
+    const { id, delta } = anchorRef.current;
+    const index = findFirst(items, item => item.type === 'message' && item.msg.id >= id);
+    if (index < items.length) {
+      setScrollPosition(currentOffsets[index] + delta);
+    }
+  }, [items, setScrollPosition]);
+
+  // Keep following the bottom while the initial items are measured
+  useLayoutEffect(() => {
+    if (stickToBottomRef.current) {
+      setScrollPosition(totalHeight);
+    }
+  }, [totalHeight, setScrollPosition]);
+
+  const start = items.length > 0 ? findItemAt(offsets, Math.max(0, scrollTop - OVERSCAN)) : 0;
+  const end = items.length > 0 ? findItemAt(offsets, scrollTop + viewportHeight + OVERSCAN) + 1 : 0;
+
+  const handleScroll = () => {
+    const container = containerRef.current;
+    const top = container.scrollTop;
+    setScrollTop(top);
+
+    stickToBottomRef.current =
+      container.scrollHeight - top - container.clientHeight < STICKY_BOTTOM_THRESHOLD;
+
+    // Remember the first visible message for re-anchoring
+    const index = findItemAt(offsets, top);
+    const anchorIndex = items[index] && items[index].type === 'divider' ? index + 1 : index;
+    const anchor = items[anchorIndex];
+    anchorRef.current = anchor && anchor.type === 'message'
+      ? { id: anchor.msg.id, delta: top - offsets[anchorIndex] }
+      : null;
+  };
+
+  const scrollToIndex = useCallback((index, align = 'start') => {
+    if (index < 0 || index >= items.length) return;
+    stickToBottomRef.current = false;
+    const height = offsets[index + 1] - offsets[index];
+    const top = align === 'center'
+      ? offsets[index] - (viewportHeight - height) / 2
+      : offsets[index];
+    setScrollPosition(Math.max(0, top));
+  }, [items, offsets, viewportHeight, setScrollPosition]);
+
+  useImperativeHandle(ref, () => ({
+    // Scrolls to the first message on or after the given day
+    scrollToDate: (date) => {
+      const index = findFirst(items, item => item.datetime >= date);
+      const dividerIndex = index > 0 && items[index - 1].type === 'divider' ? index - 1 : index;
+      scrollToIndex(Math.min(dividerIndex, items.length - 1));
+    },
+    // Centers the message with the given id in the viewport
+    scrollToMessage: (id) => {
+      const index = keyIndex.get(`m-${id}`);
+      if (index !== undefined) scrollToIndex(index, 'center');
+    }
+  }), [items, keyIndex, scrollToIndex]);
+
+  return (
+    <div className="chat-messages" ref={containerRef} onScroll={handleScroll}>
+      {items.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '20px' }}>
+          <p>No messages found</p>
+        </div>
+      ) : (
+        <div style={{ maxWidth: '900px', margin: '0 auto', position: 'relative', height: `${totalHeight}px` }}>
+          <div style={{ position: 'absolute', top: `${offsets[start]}px`, left: 0, right: 0 }}>
+            {items.slice(start, end).map(item => (
+              <MeasuredItem key={item.key} itemKey={item.key} observer={observerRef.current}>
+                {item.type === 'divider' ? (
+                  <div className="date-divider">
+                    <div className="date-label">
+                      {item.date}
+                    </div>
+                  </div>
+                ) : (
+                  <MessageBubble
+                    msg={item.msg}
+                    media={media}
+                    isOutgoing={item.msg.sender === outgoingSender}
+                    senderColor={senderColors[item.msg.sender]}
+                    query={hitIds && hitIds.has(item.msg.id) ? query : null}
+                    isCurrentHit={item.msg.id === currentHitId}
+                  />
+                )}
+              </MeasuredItem>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default ChatTranscript;
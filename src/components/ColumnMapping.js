@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { MAPPING_FIELDS, missingFields } from '../parsing/columnMapping';
+
+// Column mapping step of a CSV import: which header holds each field. A
+// change is applied right away so the import report below stays current.
+// presets are the saved mappings; source.preset names the one in use.
+// onChange receives the mapping and the name of the preset it came from.
+const ColumnMapping = ({ source, presets, disabled, onChange, onSavePreset, onDeletePreset }) => {
+  const [presetName, setPresetName] = useState(source.preset || '');
+  const { mapping, headers } = source;
+
+  const changeField = (field, header) => onChange({ ...mapping, [field]: header || null });
+
+  const savePreset = (event) => {
+    event.preventDefault();
+    if (presetName.trim()) {
+      onSavePreset(presetName.trim(), mapping);
+    }
+  };
+
+  return (
+    <div className="column-mapping">
+      <h4 style={{ fontWeight: 'bold', marginBottom: '10px' }}>Columns</h4>
+      <p className="filter-summary" style={{ marginBottom: '10px' }}>
+        Pick the column for each field. Use either one "Date and time" column or separate "Date" and "Time"
+        columns; hour and weekday are always computed from them.
+      </p>
+
+      <div className="mapping-grid">
+        {MAPPING_FIELDS.map(({ key, label }) => (
+          <label key={key}>
+            <span className="filter-label">{label}</span>
+            <select value={mapping[key] || ''} onChange={(e) => changeField(key, e.target.value)} disabled={disabled}>
+              <option value="">—</option>
+              {headers.map(header => (
+                <option key={header} value={header}>{header}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      {source.missingFields.length > 0 && (
+        <div className="error-msg">Choose a column for: {source.missingFields.join(', ')}</div>
+      )}
+
+      <div className="filter-row" style={{ marginTop: '10px' }}>
+        <span className="filter-label">Presets</span>
+        {presets.map(preset => (
+          <span key={preset.name} className={`sender-chip ${preset.name === source.preset ? 'selected' : ''}`}>
+            <button className="preset-apply" onClick={() => onChange(preset.mapping, preset.name)} disabled={disabled}>
+              {preset.name}
+            </button>
+            <button className="preset-delete" onClick={() => onDeletePreset(preset.name)} title="Delete preset">
+              ×
+            </button>
+          </span>
+        ))}
+        {missingFields(mapping).length === 0 && (
+          <form onSubmit={savePreset} className="preset-form">
+            <input
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder="Preset name"
+            />
+            <button className="filter-reset" type="submit" disabled={!presetName.trim()}>
+              Save mapping
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapping;
@@ -0,0 +1,156 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { SESSION_GAP_OPTIONS, LATENCY_BUCKETS, formatDuration } from '../analytics/conversationStats';
+
+const BUCKET_COLORS = ['#25D366', '#34B7F1', '#128C7E', '#448AFF', '#7C4DFF', '#FF5252'];
+
+const gapLabel = (minutes) => (minutes < 60 ? `${minutes} minutes` : formatDuration(minutes * 60 * 1000));
+
+const formatDay = (date) => date.toLocaleDateString();
+
+// Statistics cards about conversations: who starts and ends them, how fast
+// everyone replies, the longest silences and streaks of active days
+const ConversationCards = ({ conversations, senderColors, gapMinutes, onGapChange }) => (
+  <>
+    {/* Conversation Starters */}
+    <div className="stat-card">
+      <div className="stat-title">Who Starts and Ends Conversations?</div>
+      <div className="filter-row" style={{ marginBottom: '15px' }}>
+        <span>A new conversation starts after</span>
+        <select value={gapMinutes} onChange={(e) => onGapChange(Number(e.target.value))}>
+          {SESSION_GAP_OPTIONS.map(minutes => (
+            <option key={minutes} value={minutes}>{gapLabel(minutes)}</option>
+          ))}
+        </select>
+        <span>of silence</span>
+      </div>
+      <p style={{ marginBottom: '15px' }}>
+        <span style={{ fontWeight: 'bold' }}>{conversations.sessionCount.toLocaleString()}</span> conversations,{' '}
+        <span style={{ fontWeight: 'bold' }}>{conversations.averageSessionLength.toFixed(1)}</span> messages each on average
+      </p>
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={conversations.senders}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="started" fill="#25D366" name="Started" />
+            <Bar dataKey="ended" fill="#075E54" name="Ended" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+
+    {/* Reply Times */}
+    {conversations.replyPairs.length > 0 && (
+      <div className="stat-card">
+        <div className="stat-title">Reply Times</div>
+        <table className="stats-table">
+          <thead>
+            <tr>
+              <th>Who replies</th>
+              <th>To</th>
+              <th>Replies</th>
+              <th>Median reply time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {conversations.replyPairs.map(pair => (
+              <tr key={pair.label}>
+                <td style={{ color: senderColors[pair.from] }}>{pair.from}</td>
+                <td style={{ color: senderColors[pair.to] }}>{pair.to}</td>
+                <td>{pair.count.toLocaleString()}</td>
+                <td>{formatDuration(pair.median)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4 style={{ fontSize: '16px', fontWeight: 'bold', margin: '20px 0 15px' }}>Distribution</h4>
+        <div style={{ height: `${Math.max(200, conversations.replyPairs.length * 40 + 80)}px` }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart
+              data={conversations.replyPairs}
+              layout="vertical"
+              margin={{ top: 5, right: 30, left: 80, bottom: 5 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" />
+              <YAxis type="category" dataKey="label" tick={{ fontSize: 12 }} width={120} />
+              <Tooltip />
+              <Legend />
+              {LATENCY_BUCKETS.map((bucket, index) => (
+                <Bar key={bucket.label} dataKey={bucket.label} stackId="latency" fill={BUCKET_COLORS[index]} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    )}
+
+    {/* Longest Silences */}
+    {conversations.longestSilences.length > 0 && (
+      <div className="stat-card">
+        <div className="stat-title">Longest Silences</div>
+        <table className="stats-table">
+          <thead>
+            <tr>
+              <th>Silent for</th>
+              <th>From</th>
+              <th>Until</th>
+              <th>Broken by</th>
+            </tr>
+          </thead>
+          <tbody>
+            {conversations.longestSilences.map(silence => (
+              <tr key={silence.start.getTime()}>
+                <td>{formatDuration(silence.duration)}</td>
+                <td>{silence.start.toLocaleString()}</td>
+                <td>{silence.end.toLocaleString()}</td>
+                <td style={{ color: senderColors[silence.brokenBy] }}>{silence.brokenBy}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+
+    {/* Active Day Streaks */}
+    <div className="stat-card">
+      <div className="stat-title">Active Day Streaks</div>
+      <p style={{ fontSize: '18px', marginBottom: '10px' }}>
+        Longest streak:{' '}
+        <span style={{ fontWeight: 'bold', color: '#25D366' }}>{conversations.streaks.longest.days}</span> days in a row
+        ({formatDay(conversations.streaks.longest.start)} – {formatDay(conversations.streaks.longest.end)})
+      </p>
+      <p style={{ marginBottom: '15px' }}>
+        Messages on {conversations.streaks.activeDays.toLocaleString()} different days.
+        The last streak of the chat lasted {conversations.streaks.current.days} days.
+      </p>
+      <table className="stats-table">
+        <thead>
+          <tr>
+            <th>Days</th>
+            <th>From</th>
+            <th>To</th>
+          </tr>
+        </thead>
+        <tbody>
+          {conversations.streaks.top.map(streak => (
+            <tr key={streak.start.getTime()}>
+              <td>{streak.days}</td>
+              <td>{formatDay(streak.start)}</td>
+              <td>{formatDay(streak.end)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </>
+);
+
+export default ConversationCards;
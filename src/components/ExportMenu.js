@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { exportReportPdf, exportReportPng } from '../export/report';
+import { exportStatsJson, exportStatsCsv } from '../export/statsData';
+import { exportChatCsv } from '../export/chatData';
+
+// "Export" button of the Statistics tab. reportRef points at the element
+// holding the report header and the cards; info describes the chat and rows
+// are the messages behind the statistics.
+const ExportMenu = ({ reportRef, stats, rows, info, onError }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setOpen(false);
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      onError(`Export failed: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const options = [
+    { label: 'Report (PDF)', action: () => exportReportPdf(reportRef.current, info.title) },
+    { label: 'Infographic (PNG)', action: () => exportReportPng(reportRef.current, info.title) },
+    { label: 'Data (JSON)', action: () => exportStatsJson(stats, info) },
+    { label: 'Data (CSV)', action: () => exportStatsCsv(stats, info) },
+    { label: 'Messages (CSV)', action: () => exportChatCsv(rows, info) }
+  ];
+
+  return (
+    <div className="export-menu">
+      <button className="header-btn" onClick={() => setOpen(!open)} disabled={busy}>
+        {busy ? 'Exporting…' : 'Export report'}
+      </button>
+      {open && (
+        <div className="export-options">
+          {options.map(option => (
+            <button key={option.label} onClick={() => run(option.action)}>
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
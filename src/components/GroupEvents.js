@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import {
+  ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { JOIN_TYPES, LEAVE_TYPES } from '../parsing/groupEvents';
+
+const TYPE_COLORS = {
+  created: '#075E54',
+  added: '#25D366',
+  joined: '#25D366',
+  removed: '#FF5252',
+  left: '#FF5252',
+  subject: '#448AFF',
+  icon: '#7C4DFF',
+  description: '#7C4DFF'
+};
+
+const FILTERS = [
+  { key: 'all', label: 'All events', types: null },
+  { key: 'membership', label: 'Joins and leaves', types: [...JOIN_TYPES, ...LEAVE_TYPES] },
+  { key: 'group', label: 'Subject, icon and description', types: ['subject', 'icon', 'description'] }
+];
+
+const listNames = (names) => (
+  names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]
+);
+
+const describeEvent = ({ type, actor, targets, subject }) => {
+  switch (type) {
+    case 'created': return `${actor} created the group${subject ? ` "${subject}"` : ''}`;
+    case 'added': return `${actor} added ${listNames(targets)}`;
+    case 'removed': return `${actor} removed ${listNames(targets)}`;
+    case 'joined': return `${actor} joined`;
+    case 'left': return `${actor} left`;
+    case 'subject': return `${actor} changed the subject to "${subject}"`;
+    case 'icon': return `${actor} changed the group's icon`;
+    default: return `${actor} changed the group description`;
+  }
+};
+
+// Group membership and subject timeline. events are the chat's group events
+// with the names shown; membership comes from membership.js and its monthly
+// member counts turn message counts into messages per member.
+const GroupEvents = ({ events, membership, senderColors }) => {
+  const [filter, setFilter] = useState('all');
+  const { types } = FILTERS.find(({ key }) => key === filter);
+  const shown = types ? events.filter(event => types.includes(event.type)) : events;
+  const count = (list) => events.filter(event => list.includes(event.type)).length;
+
+  return (
+    <div className="stat-card">
+      <div className="stat-title">Group Members and Events</div>
+      <p style={{ marginBottom: '15px' }}>
+        <span style={{ fontWeight: 'bold' }}>{count(JOIN_TYPES)}</span> joins,{' '}
+        <span style={{ fontWeight: 'bold' }}>{count(LEAVE_TYPES)}</span> leaves,{' '}
+        <span style={{ fontWeight: 'bold' }}>{count(['subject'])}</span> subject changes ·{' '}
+        about <span style={{ fontWeight: 'bold' }}>{membership.initialMembers}</span> members at the start
+        and <span style={{ fontWeight: 'bold' }}>{membership.finalMembers}</span> at the end
+      </p>
+      <p className="filter-summary" style={{ marginBottom: '15px' }}>
+        Members at the start are estimated from everyone who appears in the chat. Events are not counted as messages.
+      </p>
+
+      <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>Members and Messages per Member</h4>
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={membership.byMonth}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis yAxisId="left" />
+            <YAxis yAxisId="right" orientation="right" allowDecimals={false} />
+            <Tooltip />
+            <Legend />
+            <Bar yAxisId="left" dataKey="perMember" fill="#25D366" name="Messages per member" />
+            <Line yAxisId="right" type="stepAfter" dataKey="members" stroke="#075E54" name="Members" dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="filter-row" style={{ margin: '20px 0 10px' }}>
+        <span className="filter-label">Timeline</span>
+        <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+          {FILTERS.map(({ key, label }) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <ul className="event-timeline">
+        {shown.map((event, index) => (
+          <li key={index} style={{ borderLeftColor: TYPE_COLORS[event.type] }}>
+            <span className="event-date">{event.datetime.toLocaleString()}</span>
+            <span style={{ color: senderColors[event.actor] }}>{describeEvent(event)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default GroupEvents;
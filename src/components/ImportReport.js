@@ -0,0 +1,120 @@
+import React from 'react';
+import _ from 'lodash';
+import { describeEncoding } from '../parsing/textDecoding';
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+// "WhatsApp text export (Android) · UTF-8" or "CSV · UTF-8 · semicolon-separated"
+const describeSource = (source) => {
+  const parts = source.kind === 'csv'
+    ? ['CSV', describeEncoding(source.encoding)]
+    : [`WhatsApp text export${source.platform ? ` (${source.platform})` : ''}`, describeEncoding(source.encoding)];
+  if (source.delimiter) {
+    parts.push(`${DELIMITER_NAMES[source.delimiter] || `"${source.delimiter}"`}-separated`);
+  }
+  return parts.join(' · ');
+};
+
+// Every row of the file being imported, accounted for: the counts, the
+// rows that were rejected or skipped and why, and the first messages.
+// preview comes from the worker's parse and preview requests; timeZone is
+// the zone the times were read in.
+const ImportReport = ({ source, preview, timeZone }) => (
+  <>
+    <p style={{ color: '#666', fontSize: '14px', marginTop: '10px' }}>File: {describeSource(source)}</p>
+
+    <table className="stats-table" style={{ marginTop: '15px' }}>
+      <tbody>
+        <tr>
+          <td>Rows in the file</td>
+          <td>{preview.totalRows.toLocaleString()}</td>
+        </tr>
+        <tr>
+          <td>Messages to import</td>
+          <td style={{ fontWeight: 'bold', color: '#128C7E' }}>{preview.rowCount.toLocaleString()}</td>
+        </tr>
+        {preview.eventCount > 0 && (
+          <tr>
+            <td>Group events (joins, leaves, subject changes)</td>
+            <td>{preview.eventCount.toLocaleString()}</td>
+          </tr>
+        )}
+        {preview.systemCount > 0 && (
+          <tr>
+            <td>System notices (skipped)</td>
+            <td>{preview.systemCount.toLocaleString()}</td>
+          </tr>
+        )}
+        <tr>
+          <td>Rejected rows</td>
+          <td style={{ color: preview.errorCount > 0 ? '#FF5252' : undefined }}>{preview.errorCount.toLocaleString()}</td>
+        </tr>
+        <tr>
+          <td>Duplicate rows (skipped)</td>
+          <td>{preview.duplicateCount.toLocaleString()}</td>
+        </tr>
+      </tbody>
+    </table>
+
+    <h4 style={{ marginTop: '20px', fontWeight: 'bold' }}>First Messages</h4>
+    <table className="preview-table">
+      <tbody>
+        {preview.sample.map(row => (
+          <tr key={row.line}>
+            <td>{row.datetime.toLocaleString()}</td>
+            <td>{row.sender}</td>
+            <td>{_.truncate(row.message, { length: 60 })}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+
+    {preview.errorCount > 0 && (
+      <div className="error-msg">
+        <p>
+          {preview.errorCount} row(s) will be skipped
+          {preview.errorCount > preview.errors.length && ` (the first ${preview.errors.length} are listed)`}:
+        </p>
+        <ul className="import-errors">
+          {preview.errors.map(rowError => (
+            <li key={rowError.line}>
+              Line {rowError.line}: "{rowError.value}" — {rowError.reason}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+
+    {preview.duplicateCount > 0 && (
+      <div className="import-notice">
+        <p>{preview.duplicateCount} row(s) repeat earlier rows of the file exactly and will be skipped:</p>
+        <ul className="import-errors">
+          {preview.duplicates.map(duplicate => (
+            <li key={duplicate.line}>
+              Line {duplicate.line}: "{duplicate.value}" — same as line {duplicate.duplicateOf}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+
+    {preview.dstAdjustmentCount > 0 && (
+      <div className="import-notice">
+        <p>
+          {preview.dstAdjustmentCount} time(s) fall on a daylight saving change in {timeZone}.
+          Times the clock skipped are moved forward by the skipped hour; times it showed twice
+          are placed so the messages stay in order.
+        </p>
+        <ul className="import-errors">
+          {preview.dstAdjustments.map(adjustment => (
+            <li key={adjustment.line}>
+              Line {adjustment.line}: "{adjustment.value}" — {adjustment.adjustment === 'gap' ? 'skipped by the clock' : 'happened twice'}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+  </>
+);
+
+export default ImportReport;
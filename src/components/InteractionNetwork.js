@@ -0,0 +1,315 @@
+import React, { useState, useMemo, useRef } from 'react';
+import _ from 'lodash';
+
+const WIDTH = 800;
+const HEIGHT = 500;
+const MARGIN = 40;
+// Larger groups show their most active members
+const MAX_NODES = 30;
+const LAYOUT_ITERATIONS = 300;
+const HEAT_COLORS = ['#f5f5f5', '#c6f1d6', '#8be0a9', '#25D366', '#128C7E', '#075E54'];
+
+const KINDS = [
+  { key: 'weight', label: 'All interactions' },
+  { key: 'replies', label: 'Replies' },
+  { key: 'mentions', label: '@-mentions' },
+  { key: 'quotes', label: 'Quoted replies' }
+];
+
+const heatColor = (count, max) => {
+  if (!count) return HEAT_COLORS[0];
+  const level = Math.ceil(Math.sqrt(count / max) * (HEAT_COLORS.length - 1));
+  return HEAT_COLORS[Math.max(1, level)];
+};
+
+// Undirected links between the shown names, with both directions added up
+const buildLinks = (edges, names, kind) => {
+  const shown = new Set(names);
+  const links = {};
+  edges.forEach(edge => {
+    if (!edge[kind] || !shown.has(edge.from) || !shown.has(edge.to)) return;
+    const [source, target] = [edge.from, edge.to].sort();
+    const key = `${source}\u0000${target}`;
+    if (!links[key]) links[key] = { source, target, count: 0 };
+    links[key].count += edge[kind];
+  });
+  return Object.values(links);
+};
+
+// Force-directed layout (Fruchterman-Reingold): linked people attract in
+// proportion to how much they interact, everyone repels everyone. Starts
+// from a circle, so the same chat always gets the same picture.
+const layoutNetwork = (names, links) => {
+  const positions = {};
+  names.forEach((name, index) => {
+    const angle = (2 * Math.PI * index) / names.length;
+    positions[name] = {
+      x: WIDTH / 2 + (WIDTH / 2 - MARGIN) * Math.cos(angle),
+      y: HEIGHT / 2 + (HEIGHT / 2 - MARGIN) * Math.sin(angle)
+    };
+  });
+  if (names.length < 3) return positions;
+
+  const ideal = Math.sqrt((WIDTH * HEIGHT) / names.length) * 0.6;
+  const maxCount = Math.max(1, ...links.map(link => link.count));
+
+  for (let iteration = 0; iteration < LAYOUT_ITERATIONS; iteration++) {
+    const temperature = (WIDTH / 10) * (1 - iteration / LAYOUT_ITERATIONS);
+    const moves = _.fromPairs(names.map(name => [name, { x: 0, y: 0 }]));
+
+    names.forEach((a, i) => {
+      names.slice(i + 1).forEach(b => {
+        const dx = positions[a].x - positions[b].x;
+        const dy = positions[a].y - positions[b].y;
+        const distance = Math.max(1, Math.hypot(dx, dy));
+        const force = (ideal * ideal) / distance;
+        moves[a].x += (dx / distance) * force;
+        moves[a].y += (dy / distance) * force;
+        moves[b].x -= (dx / distance) * force;
+        moves[b].y -= (dy / distance) * force;
+      });
+    });
+
+    links.forEach(({ source, target, count }) => {
+      const dx = positions[source].x - positions[target].x;
+      const dy = positions[source].y - positions[target].y;
+      const distance = Math.max(1, Math.hypot(dx, dy));
+      const force = ((distance * distance) / ideal) * (0.3 + count / maxCount);
+      moves[source].x -= (dx / distance) * force;
+      moves[source].y -= (dy / distance) * force;
+      moves[target].x += (dx / distance) * force;
+      moves[target].y += (dy / distance) * force;
+    });
+
+    names.forEach(name => {
+      const { x, y } = moves[name];
+      const length = Math.max(1, Math.hypot(x, y));
+      const step = Math.min(length, temperature);
+      positions[name] = {
+        x: _.clamp(positions[name].x + (x / length) * step, MARGIN, WIDTH - MARGIN),
+        y: _.clamp(positions[name].y + (y / length) * step, MARGIN, HEIGHT - MARGIN)
+      };
+    });
+  }
+  return positions;
+};
+
+const Network = ({ nodes, links, senderColors, selected, onSelect }) => {
+  const svgRef = useRef(null);
+  const layout = useMemo(() => layoutNetwork(nodes.map(node => node.name), links), [nodes, links]);
+  // Nodes the user dragged, by name
+  const [moved, setMoved] = useState({});
+  // The node being dragged ({ name, moved }), or null
+  const dragging = useRef(null);
+  const [hovered, setHovered] = useState(null);
+
+  const position = (name) => moved[name] || layout[name];
+  const maxMessages = Math.max(1, ...nodes.map(node => node.messages));
+  const maxCount = Math.max(1, ...links.map(link => link.count));
+  const focus = hovered || selected;
+
+  const pointerPosition = (event) => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return { x: _.clamp(x, MARGIN, WIDTH - MARGIN), y: _.clamp(y, MARGIN, HEIGHT - MARGIN) };
+  };
+
+  const handleMove = (event) => {
+    if (!dragging.current) return;
+    const { name } = dragging.current;
+    dragging.current.moved = true;
+    setMoved(current => ({ ...current, [name]: pointerPosition(event) }));
+  };
+
+  // A press without moving selects the person, or unselects them
+  const handleUp = () => {
+    if (dragging.current && !dragging.current.moved) {
+      onSelect(dragging.current.name === selected ? null : dragging.current.name);
+    }
+    dragging.current = null;
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="interaction-network"
+      onMouseMove={handleMove}
+      onMouseUp={handleUp}
+      onMouseLeave={() => { dragging.current = null; }}
+    >
+      {links.map(link => {
+        const from = position(link.source);
+        const to = position(link.target);
+        const active = !focus || link.source === focus || link.target === focus;
+        return (
+          <line
+            key={`${link.source}-${link.target}`}
+            x1={from.x}
+            y1={from.y}
+            x2={to.x}
+            y2={to.y}
+            stroke={active ? '#128C7E' : '#ddd'}
+            strokeOpacity={active ? 0.7 : 0.4}
+            strokeWidth={1 + (7 * link.count) / maxCount}
+          >
+            <title>{`${link.source} ↔ ${link.target}: ${link.count.toLocaleString()}`}</title>
+          </line>
+        );
+      })}
+      {nodes.map(node => {
+        const { x, y } = position(node.name);
+        const radius = 8 + 22 * Math.sqrt(node.messages / maxMessages);
+        const dimmed = focus && focus !== node.name
+          && !links.some(link => (link.source === focus && link.target === node.name)
+            || (link.target === focus && link.source === node.name));
+        return (
+          <g
+            key={node.name}
+            className="network-node"
+            opacity={dimmed ? 0.35 : 1}
+            onMouseDown={() => { dragging.current = { name: node.name, moved: false }; }}
+            onMouseEnter={() => setHovered(node.name)}
+            onMouseLeave={() => setHovered(null)}
+          >
+            <circle
+              cx={x}
+              cy={y}
+              r={radius}
+              fill={senderColors[node.name] || '#25D366'}
+              stroke={node.name === selected ? '#075E54' : 'white'}
+              strokeWidth={node.name === selected ? 3 : 2}
+            />
+            <text x={x} y={y + radius + 14} textAnchor="middle">{node.name}</text>
+            <title>{`${node.name}: ${node.messages.toLocaleString()} messages`}</title>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const Matrix = ({ nodes, edges, kind, senderColors }) => {
+  const counts = {};
+  edges.forEach(edge => {
+    counts[`${edge.from}\u0000${edge.to}`] = edge[kind];
+  });
+  const max = Math.max(1, ...Object.values(counts));
+
+  return (
+    <div className="interaction-matrix">
+      <table>
+        <thead>
+          <tr>
+            <th>From \ To</th>
+            {nodes.map(node => (
+              <th key={node.name} style={{ color: senderColors[node.name] }} title={node.name}>
+                {_.truncate(node.name, { length: 12 })}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {nodes.map(from => (
+            <tr key={from.name}>
+              <th style={{ color: senderColors[from.name] }}>{from.name}</th>
+              {nodes.map(to => {
+                const count = counts[`${from.name}\u0000${to.name}`] || 0;
+                return (
+                  <td
+                    key={to.name}
+                    style={{ backgroundColor: from.name === to.name ? 'white' : heatColor(count, max) }}
+                    title={`${from.name} → ${to.name}: ${count.toLocaleString()}`}
+                  >
+                    {from.name === to.name ? '' : count || ''}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Who talks to whom: a network where bigger circles send more messages and
+// thicker lines interact more, and a sender × recipient matrix.
+// interactions comes from interactions.js; onShowProfile opens a participant.
+const InteractionNetwork = ({ interactions, senderColors, onShowProfile }) => {
+  const [view, setView] = useState('network');
+  const [kind, setKind] = useState('weight');
+  const [selected, setSelected] = useState(null);
+
+  const nodes = useMemo(() => interactions.nodes.slice(0, MAX_NODES), [interactions]);
+  const links = useMemo(
+    () => buildLinks(interactions.edges, nodes.map(node => node.name), kind),
+    [interactions, nodes, kind]
+  );
+
+  const kinds = KINDS.filter(({ key }) => key === 'weight' || interactions.totals[key] > 0);
+  const partners = selected
+    ? interactions.edges
+      .filter(edge => edge[kind] > 0 && (edge.from === selected || edge.to === selected))
+      .slice(0, 8)
+    : [];
+
+  return (
+    <div className="stat-card">
+      <div className="stat-title">Who Talks to Whom?</div>
+      <div className="filter-row" style={{ marginBottom: '15px' }}>
+        <span className="filter-label">Show</span>
+        <select value={view} onChange={(e) => setView(e.target.value)}>
+          <option value="network">Network</option>
+          <option value="matrix">Matrix</option>
+        </select>
+        <span className="filter-label">Count</span>
+        <select value={kind} onChange={(e) => setKind(e.target.value)}>
+          {kinds.map(({ key, label }) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <p className="filter-summary" style={{ marginBottom: '10px' }}>
+        {interactions.totals.replies.toLocaleString()} replies
+        {interactions.totals.mentions > 0 && `, ${interactions.totals.mentions.toLocaleString()} @-mentions`}
+        {interactions.totals.quotes > 0 && `, ${interactions.totals.quotes.toLocaleString()} quoted replies`}
+        {interactions.nodes.length > MAX_NODES && ` · showing the ${MAX_NODES} most active of ${interactions.nodes.length} participants`}
+      </p>
+
+      {view === 'network' ? (
+        <>
+          <Network
+            nodes={nodes}
+            links={links}
+            senderColors={senderColors}
+            selected={selected}
+            onSelect={setSelected}
+          />
+          <p className="filter-summary">
+            Click a person to highlight their connections, drag to move them.
+          </p>
+          {selected && (
+            <div className="network-details">
+              <span style={{ fontWeight: 'bold', color: senderColors[selected] }}>{selected}</span>
+              {partners.length > 0
+                ? partners.map(edge => (
+                  <span key={`${edge.from}-${edge.to}`}>
+                    {edge.from === selected ? `→ ${edge.to}` : `← ${edge.from}`}: {edge[kind].toLocaleString()}
+                  </span>
+                ))
+                : <span>No interactions of this kind.</span>}
+              <button className="filter-reset" onClick={() => onShowProfile(selected)}>Open profile</button>
+            </div>
+          )}
+        </>
+      ) : (
+        <Matrix nodes={nodes} edges={interactions.edges} kind={kind} senderColors={senderColors} />
+      )}
+    </div>
+  );
+};
+
+export default InteractionNetwork;
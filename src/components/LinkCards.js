@@ -0,0 +1,102 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell
+} from 'recharts';
+import { LINK_CATEGORY_COLORS } from '../analytics/links';
+
+// Shared links: categories, top domains, links per sender and links per
+// month by category. onShowInChat opens a clicked domain in the Chat tab.
+const LinkCards = ({ links, senderColors, onShowInChat }) => (
+  <div className="stat-card">
+    <div className="stat-title">Shared Links</div>
+    <p style={{ marginBottom: '15px' }}>
+      <span style={{ fontWeight: 'bold' }}>{links.total.toLocaleString()}</span> links from{' '}
+      <span style={{ fontWeight: 'bold' }}>{links.bySenderData.length}</span>{' '}
+      {links.bySenderData.length === 1 ? 'sender' : 'senders'}
+    </p>
+
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+      <div>
+        <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>Top Domains</h4>
+        <table className="stats-table">
+          <thead>
+            <tr>
+              <th>Domain</th>
+              <th>Category</th>
+              <th>Links</th>
+            </tr>
+          </thead>
+          <tbody>
+            {links.topDomains.map(({ domain, category, count }) => (
+              <tr key={domain} className="clickable-row" onClick={() => onShowInChat(`"${domain}"`)}>
+                <td>{domain}</td>
+                <td style={{ color: LINK_CATEGORY_COLORS[category] }}>{category}</td>
+                <td>{count.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="filter-summary" style={{ marginTop: '10px' }}>Click a domain to see its messages in the chat.</p>
+      </div>
+
+      <div>
+        <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>By Category</h4>
+        <div className="chart-container">
+          <ResponsiveContainer width="100%" height="100%">
+            <PieChart>
+              <Pie
+                data={links.categoryData}
+                dataKey="count"
+                nameKey="category"
+                cx="50%"
+                cy="50%"
+                outerRadius={100}
+                label={({ category, percent }) => `${category} ${(percent * 100).toFixed(0)}%`}
+              >
+                {links.categoryData.map(({ category }) => (
+                  <Cell key={category} fill={LINK_CATEGORY_COLORS[category]} />
+                ))}
+              </Pie>
+              <Tooltip />
+            </PieChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+
+    <h4 style={{ fontSize: '16px', fontWeight: 'bold', margin: '20px 0 15px' }}>Links per Sender</h4>
+    <div className="chart-container">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={links.bySenderData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          <Bar dataKey="count" name="Links">
+            {links.bySenderData.map(sender => (
+              <Cell key={sender.name} fill={senderColors[sender.name] || '#128C7E'} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+
+    <h4 style={{ fontSize: '16px', fontWeight: 'bold', margin: '20px 0 15px' }}>Links Over Time</h4>
+    <div className="chart-container">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={links.timelineData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="month" />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          <Legend />
+          {links.categoryData.map(({ category }) => (
+            <Bar key={category} dataKey={category} stackId="links" fill={LINK_CATEGORY_COLORS[category]} />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  </div>
+);
+
+export default LinkCards;
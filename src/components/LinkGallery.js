@@ -0,0 +1,132 @@
+import React, { useState, useMemo } from 'react';
+import _ from 'lodash';
+import { findLinks, LINK_CATEGORIES, LINK_CATEGORY_COLORS } from '../analytics/links';
+
+// Cards shown at first and added by "Show more"
+const PAGE_SIZE = 60;
+
+const ALL = 'all';
+
+// Links tab: every link shared in the chat, newest first, filtered by sender,
+// category, domain or text. rows are the messages as shown in the chat;
+// onShowInChat opens a link's message in the Chat tab.
+const LinkGallery = ({ rows, senderColors, onShowInChat }) => {
+  const [sender, setSender] = useState(ALL);
+  const [category, setCategory] = useState(ALL);
+  const [domain, setDomain] = useState(ALL);
+  const [search, setSearch] = useState('');
+  const [shown, setShown] = useState(PAGE_SIZE);
+
+  const links = useMemo(() => (
+    rows.flatMap(row => findLinks(row.attachment ? row.attachment.caption : row.message)
+      .map(link => ({ ...link, sender: row.sender, datetime: row.datetime, date: row.date })))
+      .reverse()
+  ), [rows]);
+
+  const senders = useMemo(() => _.uniq(links.map(link => link.sender)).sort(), [links]);
+  const domains = useMemo(() => (
+    _.orderBy(Object.entries(_.countBy(links, 'domain')), ([name, count]) => count, 'desc')
+  ), [links]);
+
+  const term = search.trim().toLowerCase();
+  const filtered = links.filter(link => (
+    (sender === ALL || link.sender === sender)
+    && (category === ALL || link.category === category)
+    && (domain === ALL || link.domain === domain)
+    && (!term || link.url.toLowerCase().includes(term))
+  ));
+
+  // Changing a filter starts again from the first page
+  const filterBy = (setter) => (event) => {
+    setter(event.target.value);
+    setShown(PAGE_SIZE);
+  };
+
+  const reset = () => {
+    setSender(ALL);
+    setCategory(ALL);
+    setDomain(ALL);
+    setSearch('');
+    setShown(PAGE_SIZE);
+  };
+
+  return (
+    <div className="stats-container">
+      <h2 style={{ fontSize: '24px', marginBottom: '20px' }}>Shared Links</h2>
+
+      {links.length === 0 ? (
+        <div className="stat-card">No links were shared in this chat.</div>
+      ) : (
+        <>
+          <div className="filter-bar">
+            <div className="filter-row">
+              <span className="filter-label">Sender</span>
+              <select value={sender} onChange={filterBy(setSender)}>
+                <option value={ALL}>Everyone</option>
+                {senders.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+              <span className="filter-label">Category</span>
+              <select value={category} onChange={filterBy(setCategory)}>
+                <option value={ALL}>All categories</option>
+                {LINK_CATEGORIES.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+              <span className="filter-label">Domain</span>
+              <select value={domain} onChange={filterBy(setDomain)}>
+                <option value={ALL}>All domains</option>
+                {domains.map(([name, count]) => (
+                  <option key={name} value={name}>{name} ({count})</option>
+                ))}
+              </select>
+            </div>
+            <div className="filter-row">
+              <span className="filter-label">Search</span>
+              <input
+                type="text"
+                value={search}
+                placeholder="Part of the address"
+                onChange={filterBy(setSearch)}
+              />
+              <button className="filter-reset" onClick={reset}>Reset</button>
+            </div>
+          </div>
+
+          <p className="filter-summary">
+            Showing {Math.min(shown, filtered.length).toLocaleString()} of {filtered.length.toLocaleString()} links
+            {filtered.length < links.length && ` (${links.length.toLocaleString()} in the chat)`}
+          </p>
+
+          <div className="link-gallery">
+            {filtered.slice(0, shown).map((link, index) => (
+              <div key={index} className="link-card" style={{ borderTopColor: LINK_CATEGORY_COLORS[link.category] }}>
+                <div className="link-card-header">
+                  <span className="link-domain">{link.domain}</span>
+                  <span className="link-category" style={{ backgroundColor: LINK_CATEGORY_COLORS[link.category] }}>
+                    {link.category}
+                  </span>
+                </div>
+                <a className="link-url" href={link.href} target="_blank" rel="noopener noreferrer">{link.url}</a>
+                <div className="link-meta">
+                  <span style={{ color: senderColors[link.sender] }}>{link.sender}</span>
+                  <span>{link.datetime ? link.datetime.toLocaleDateString() : link.date}</span>
+                  <button className="filter-reset" onClick={() => onShowInChat(`"${link.url}"`)}>Show in chat</button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {filtered.length > shown && (
+            <div style={{ textAlign: 'center', marginTop: '15px' }}>
+              <button className="header-btn" onClick={() => setShown(shown + PAGE_SIZE)}>Show more</button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LinkGallery;
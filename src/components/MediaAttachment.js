@@ -0,0 +1,66 @@
+import React from 'react';
+
+const MEDIA_ICONS = {
+  image: '🖼️',
+  video: '🎬',
+  audio: '🎤',
+  sticker: '💟',
+  gif: '🎞️',
+  document: '📄',
+  other: '📎'
+};
+
+// Renders an attachment reference from a chat message. When the media file
+// was part of the imported archive it is shown inline, otherwise as a chip.
+const MediaAttachment = ({ attachment, media }) => {
+  const file = attachment.fileName ? media[attachment.fileName] : null;
+  const label = attachment.fileName || (attachment.type === 'other' ? 'Media omitted' : `${attachment.type} omitted`);
+
+  if (!file) {
+    return (
+      <div className="media-chip">
+        <span style={{ marginRight: '6px' }}>{MEDIA_ICONS[attachment.type]}</span>
+        {label}
+      </div>
+    );
+  }
+
+  switch (file.type) {
+    case 'image':
+    case 'sticker':
+      return (
+        <a href={file.url} target="_blank" rel="noopener noreferrer">
+          <img
+            src={file.url}
+            alt={attachment.fileName}
+            className={file.type === 'sticker' ? 'media-sticker' : 'media-thumb'}
+            loading="lazy"
+          />
+        </a>
+      );
+    case 'video':
+    case 'gif':
+      return (
+        <video
+          src={file.url}
+          className="media-thumb"
+          controls={file.type === 'video'}
+          autoPlay={file.type === 'gif'}
+          loop={file.type === 'gif'}
+          muted={file.type === 'gif'}
+          playsInline
+        />
+      );
+    case 'audio':
+      return <audio src={file.url} controls className="media-audio" />;
+    default:
+      return (
+        <a href={file.url} download={attachment.fileName} className="media-chip">
+          <span style={{ marginRight: '6px' }}>{MEDIA_ICONS.document}</span>
+          {attachment.fileName}
+        </a>
+      );
+  }
+};
+
+export default MediaAttachment;
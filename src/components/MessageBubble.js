@@ -0,0 +1,76 @@
+import React from 'react';
+import MediaAttachment from './MediaAttachment';
+import { highlightSegments, messageText } from '../search/chatQuery';
+import { splitLinks } from '../analytics/links';
+
+// Segments with their start and end positions in the text
+const withPositions = (segments) => {
+  let start = 0;
+  return segments.map(segment => {
+    const positioned = { ...segment, start, end: start + segment.text.length };
+    start = positioned.end;
+    return positioned;
+  });
+};
+
+// The text with its links and search hits. Hits are found in the whole text
+// and then cut at the edges of links, so a hit running into a link ("see
+// youtu.be") is highlighted on both sides.
+const renderText = (text, query) => {
+  const hits = withPositions(query ? highlightSegments(text, query) : [{ text, highlighted: false }]);
+
+  return withPositions(splitLinks(text)).map((segment, index) => {
+    const parts = hits
+      .filter(hit => hit.start < segment.end && hit.end > segment.start)
+      .map((hit, partIndex) => {
+        const part = text.slice(Math.max(hit.start, segment.start), Math.min(hit.end, segment.end));
+        return hit.highlighted
+          ? <mark key={partIndex}>{part}</mark>
+          : <React.Fragment key={partIndex}>{part}</React.Fragment>;
+      });
+
+    return segment.link
+      ? <a key={index} href={segment.link.href} target="_blank" rel="noopener noreferrer">{parts}</a>
+      : <React.Fragment key={index}>{parts}</React.Fragment>;
+  });
+};
+
+// A single incoming or outgoing chat bubble. Links in the text open in a new
+// tab. When the message is a search hit, query is set and the matching parts
+// of the text are highlighted.
+const MessageBubble = ({ msg, media, isOutgoing, senderColor, query, isCurrentHit }) => {
+  const text = messageText(msg);
+  const hitClass = query ? (isCurrentHit ? ' current-hit' : ' search-hit') : '';
+
+  return (
+    <div className={`message-row ${isOutgoing ? 'outgoing' : 'incoming'}`}>
+      <div className={`message-bubble ${isOutgoing ? 'outgoing' : 'incoming'}${hitClass}`}>
+        {!isOutgoing && (
+          <div className="sender-name" style={senderColor ? { color: senderColor } : undefined}>
+            {msg.sender}
+          </div>
+        )}
+
+        {msg.attachment && (
+          <MediaAttachment attachment={msg.attachment} media={media} />
+        )}
+
+        {text && (
+          <div className="message-text">
+            {renderText(text, query)}
+          </div>
+        )}
+
+        <div className="message-time">
+          {msg.time ? msg.time.split(':').slice(0, 2).join(':') : ''}
+
+          {isOutgoing && (
+            <span style={{ marginLeft: '4px' }}>✓✓</span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(MessageBubble);
@@ -0,0 +1,151 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line
+} from 'recharts';
+import _ from 'lodash';
+import { senderQuery } from '../search/chatQuery';
+
+const percent = (share) => `${(share * 100).toFixed(0)}%`;
+
+const ChartSection = ({ title, children }) => (
+  <div>
+    <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>{title}</h4>
+    <div style={{ height: '220px' }}>
+      <ResponsiveContainer width="100%" height="100%">
+        {children}
+      </ResponsiveContainer>
+    </div>
+  </div>
+);
+
+const RankedList = ({ title, items, label }) => (
+  <div>
+    <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '10px' }}>{title}</h4>
+    {items.length === 0 ? (
+      <p className="filter-summary">None yet.</p>
+    ) : (
+      <ol className="profile-list">
+        {items.slice(0, 10).map(item => (
+          <li key={item[label]}>
+            <span>{item[label]}</span>
+            <span className="profile-count">{item.count.toLocaleString()}</span>
+          </li>
+        ))}
+      </ol>
+    )}
+  </div>
+);
+
+// One participant's own statistics, opened by clicking their name in the
+// chat header or the Statistics tab. profile comes from the worker's profile
+// request and is null while it is computed. onShowInChat opens the Chat tab
+// with a search query.
+const ParticipantProfile = ({ name, profile, color, onShowInChat, onClose }) => (
+  <div className="profile-overlay" onClick={onClose}>
+    <div className="profile-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="profile-header">
+        <div className="chat-avatar" style={{ backgroundColor: color, color: 'white' }}>
+          {name.charAt(0).toUpperCase()}
+        </div>
+        <div className="chat-title" style={{ fontSize: '20px' }}>{name}</div>
+        <button className="header-btn" onClick={() => onShowInChat(senderQuery(name))}>
+          Show messages
+        </button>
+        <button className="header-btn" style={{ marginLeft: '10px' }} onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {!profile ? (
+        <p className="filter-summary">Loading profile…</p>
+      ) : (
+        <>
+          <table className="stats-table">
+            <tbody>
+              <tr>
+                <td>Messages</td>
+                <td>
+                  {profile.messageCount.toLocaleString()} ({percent(profile.shareOfMessages)} of the chat)
+                </td>
+              </tr>
+              <tr>
+                <td>First message</td>
+                <td>{profile.firstMessage.toLocaleString()}</td>
+              </tr>
+              <tr>
+                <td>Last message</td>
+                <td>{profile.lastMessage.toLocaleString()}</td>
+              </tr>
+              <tr>
+                <td>Average message length</td>
+                <td>{profile.averageWords} words, {profile.averageCharacters} characters</td>
+              </tr>
+              <tr>
+                <td>Average tone</td>
+                <td>{profile.averageTone.toFixed(2)}</td>
+              </tr>
+              <tr>
+                <td>Most often replies to</td>
+                <td>
+                  {profile.repliesTo.length > 0
+                    ? profile.repliesTo.map(target => `${target.name} (${percent(target.share)})`).join(', ')
+                    : '—'}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+
+          {profile.longestMessage && (
+            <div className="profile-longest">
+              <div className="filter-label">
+                Longest message · {profile.longestMessage.length.toLocaleString()} characters ·{' '}
+                {profile.longestMessage.datetime.toLocaleString()}
+              </div>
+              <p>{_.truncate(profile.longestMessage.text, { length: 600 })}</p>
+            </div>
+          )}
+
+          <div className="profile-grid">
+            <ChartSection title="Messages by Hour">
+              <BarChart data={profile.hourData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="hour" />
+                <YAxis />
+                <Tooltip />
+                <Bar dataKey="count" fill={color} name="Messages" />
+              </BarChart>
+            </ChartSection>
+
+            <ChartSection title="Average Messages by Day of Week">
+              <BarChart data={profile.weekdayData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="day" tickFormatter={(day) => day.slice(0, 3)} />
+                <YAxis />
+                <Tooltip />
+                <Bar dataKey="avg" fill={color} name="Average messages" />
+              </BarChart>
+            </ChartSection>
+          </div>
+
+          <ChartSection title="Messages per Month">
+            <LineChart data={profile.timelineData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" />
+              <YAxis />
+              <Tooltip />
+              <Line type="monotone" dataKey="count" stroke={color} name="Messages" dot={false} />
+            </LineChart>
+          </ChartSection>
+
+          <div className="profile-grid" style={{ gridTemplateColumns: '1fr 1fr 1fr' }}>
+            <RankedList title="Top Words" items={profile.topWords} label="word" />
+            <RankedList title="Top Phrases" items={profile.topPhrases} label="phrase" />
+            <RankedList title="Top Emojis" items={profile.topEmojis} label="emoji" />
+          </div>
+        </>
+      )}
+    </div>
+  </div>
+);
+
+export default ParticipantProfile;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { resolveSender, buildSenderColors } from '../analytics/participants';
+
+// Panel for choosing "me", merging aliases of the same person, and picking
+// display names and colors. Changes are applied together with "Apply" so the
+// statistics are recomputed once.
+const ParticipantSettings = ({ rawSenders, settings, onApply, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const colors = buildSenderColors(rawSenders, draft);
+
+  const setAlias = (name, target) => {
+    const aliases = { ...draft.aliases };
+    if (target) {
+      aliases[name] = target;
+    } else {
+      delete aliases[name];
+    }
+    // "Me" always points at the person a name was merged into
+    const me = draft.me && resolveSender(draft.me, { ...draft, aliases });
+    setDraft({ ...draft, aliases, me });
+  };
+
+  const setField = (field, name, value) => {
+    setDraft({ ...draft, [field]: { ...draft[field], [name]: value } });
+  };
+
+  return (
+    <div className="participant-panel">
+      <div className="stat-title">Participants</div>
+      <table className="library-table">
+        <thead>
+          <tr>
+            <th>Me</th>
+            <th>Name in export</th>
+            <th>Messages</th>
+            <th>Same person as</th>
+            <th>Display name</th>
+            <th>Color</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rawSenders.map(({ name, messages }) => {
+            const isAlias = Boolean(draft.aliases[name]);
+            const displayName = draft.displayNames[name] || name;
+            // Senders already merged into this one cannot be picked as its target
+            const targets = rawSenders.filter(other => (
+              other.name !== name && resolveSender(other.name, draft) !== name
+            ));
+
+            return (
+              <tr key={name}>
+                <td>
+                  <input
+                    type="radio"
+                    name="participant-me"
+                    checked={!isAlias && draft.me === name}
+                    disabled={isAlias}
+                    onChange={() => setDraft({ ...draft, me: name })}
+                  />
+                </td>
+                <td>{name}</td>
+                <td>{messages.toLocaleString()}</td>
+                <td>
+                  <select value={draft.aliases[name] || ''} onChange={(e) => setAlias(name, e.target.value)}>
+                    <option value="">—</option>
+                    {targets.map(other => (
+                      <option key={other.name} value={other.name}>{other.name}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  {!isAlias && (
+                    <input
+                      value={displayName}
+                      onChange={(e) => setField('displayNames', name, e.target.value)}
+                      className="library-rename"
+                    />
+                  )}
+                </td>
+                <td>
+                  {!isAlias && (
+                    <input
+                      type="color"
+                      value={colors[displayName] || '#075E54'}
+                      onChange={(e) => setField('colors', name, e.target.value)}
+                    />
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div>
+        <button className="upload-btn" onClick={() => onApply(draft)}>
+          Apply
+        </button>
+        <button className="secondary-btn" onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ParticipantSettings;
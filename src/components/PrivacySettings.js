@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+
+const REDACTIONS = [
+  { key: 'pseudonyms', label: 'Replace names with "Participant A", "Participant B", …' },
+  { key: 'phones', label: 'Redact phone numbers' },
+  { key: 'emails', label: 'Redact email addresses' },
+  { key: 'urls', label: 'Redact links' },
+  { key: 'hideMedia', label: 'Hide media and file names' }
+];
+
+// Panel for privacy mode. Applying turns privacy mode on with the chosen
+// redactions; onSaveCopy stores the anonymized chat as a new library entry.
+const PrivacySettings = ({ settings, canSaveCopy, onApply, onDisable, onSaveCopy, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const [keywords, setKeywords] = useState(settings.keywords.join(', '));
+
+  const apply = () => {
+    onApply({
+      ...draft,
+      enabled: true,
+      keywords: keywords.split(/[,\n]/).map(keyword => keyword.trim()).filter(Boolean)
+    });
+  };
+
+  return (
+    <div className="stat-card privacy-settings">
+      <div className="stat-title">Privacy Mode</div>
+      <p className="filter-summary" style={{ marginBottom: '10px' }}>
+        Hides who is talking and sensitive details in the chat, the statistics and every export.
+        The saved chat itself is not changed.
+      </p>
+
+      {REDACTIONS.map(({ key, label }) => (
+        <label key={key} className="settings-option">
+          <input
+            type="checkbox"
+            checked={draft[key]}
+            onChange={(e) => setDraft({ ...draft, [key]: e.target.checked })}
+          />
+          {label}
+        </label>
+      ))}
+
+      <label className="settings-option">
+        Also redact these words or phrases (separated by commas)
+        <textarea
+          value={keywords}
+          onChange={(e) => setKeywords(e.target.value)}
+          rows={2}
+          className="settings-textarea"
+        />
+      </label>
+
+      <div>
+        <button className="upload-btn" onClick={apply}>
+          {settings.enabled ? 'Apply' : 'Turn On'}
+        </button>
+        {settings.enabled && (
+          <button className="secondary-btn" onClick={onDisable}>
+            Turn Off
+          </button>
+        )}
+        {settings.enabled && canSaveCopy && (
+          <button className="secondary-btn" onClick={onSaveCopy}>
+            Save Anonymized Copy
+          </button>
+        )}
+        <button className="secondary-btn" onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PrivacySettings;
@@ -0,0 +1,98 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line,
+  ReferenceLine, Cell
+} from 'recharts';
+
+const formatScore = (score) => (score > 0 ? `+${score.toFixed(2)}` : score.toFixed(2));
+
+const DayTable = ({ title, days, color, onShowDay }) => (
+  <div>
+    <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>{title}</h4>
+    {days.length === 0 ? (
+      <p className="filter-summary">No days to show.</p>
+    ) : (
+      <table className="stats-table">
+        <thead>
+          <tr>
+            <th>Day</th>
+            <th>Messages</th>
+            <th>Average tone</th>
+          </tr>
+        </thead>
+        <tbody>
+          {days.map(day => (
+            <tr key={day.key} className="clickable-row" onClick={() => onShowDay(day.key)}>
+              <td>{day.date}</td>
+              <td>{day.count.toLocaleString()}</td>
+              <td style={{ color, fontWeight: 'bold' }}>{formatScore(day.average)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+// Tone of the chat from the offline sentiment lexicons: per month, per
+// sender and its most positive and negative days. Scores go from -1 (very
+// negative) to +1 (very positive). onShowInChat opens a clicked day in the
+// Chat tab.
+const SentimentCards = ({ sentiment, senderColors, onShowInChat }) => {
+  const showDay = (key) => onShowInChat(`after:${key} before:${key}`);
+
+  return (
+    <div className="stat-card">
+      <div className="stat-title">Tone</div>
+      <p style={{ marginBottom: '15px' }}>
+        Average tone <span style={{ fontWeight: 'bold' }}>{formatScore(sentiment.average)}</span>:{' '}
+        <span style={{ fontWeight: 'bold', color: '#25D366' }}>{sentiment.positive}%</span> of messages positive,{' '}
+        <span style={{ fontWeight: 'bold', color: '#FF5252' }}>{sentiment.negative}%</span> negative
+      </p>
+      <p className="filter-summary" style={{ marginBottom: '15px' }}>
+        Estimated offline from English and Hebrew word lists and emojis, so sarcasm and context are missed.
+      </p>
+
+      <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>Over Time</h4>
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={sentiment.timelineData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis domain={[-1, 1]} />
+            <Tooltip />
+            <Legend />
+            <ReferenceLine y={0} stroke="#999" />
+            <Line type="monotone" dataKey="average" stroke="#128C7E" name="Average tone" dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <h4 style={{ fontSize: '16px', fontWeight: 'bold', margin: '20px 0 15px' }}>By Sender</h4>
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={sentiment.bySenderData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis domain={[-1, 1]} />
+            <Tooltip />
+            <ReferenceLine y={0} stroke="#999" />
+            <Bar dataKey="average" name="Average tone">
+              {sentiment.bySenderData.map(sender => (
+                <Cell key={sender.name} fill={senderColors[sender.name] || '#128C7E'} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px', marginTop: '20px' }}>
+        <DayTable title="Most Positive Days" days={sentiment.mostPositiveDays} color="#25D366" onShowDay={showDay} />
+        <DayTable title="Most Negative Days" days={sentiment.mostNegativeDays} color="#FF5252" onShowDay={showDay} />
+      </div>
+      <p className="filter-summary" style={{ marginTop: '10px' }}>Click a day to see its messages in the chat.</p>
+    </div>
+  );
+};
+
+export default SentimentCards;
@@ -0,0 +1,404 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Brush,
+  PieChart, Pie, Cell, LineChart, Line
+} from 'recharts';
+import _ from 'lodash';
+import { LANGUAGES } from '../analytics/textProcessing';
+import ActivityHeatmaps from './ActivityHeatmaps';
+import SentimentCards from './SentimentCards';
+import LinkCards from './LinkCards';
+
+const COLORS = ['#25D366', '#128C7E', '#075E54', '#34B7F1', '#FF5252', '#448AFF', '#7C4DFF', '#FFD740'];
+
+// The cards of the Statistics tab for one stats object. onShowInChat opens
+// the Chat tab with a search query, e.g. for a clicked heatmap cell;
+// onShowProfile opens a participant's profile from the sender legends.
+const StatisticsTab = ({ stats, senderColors, onShowInChat, onShowProfile }) => (
+  <>
+    {/* Most Active Day */}
+    <div className="stat-card">
+      <div className="stat-title">Most Active Day</div>
+      <p style={{ fontSize: '18px' }}>
+        <span style={{ fontWeight: 'bold' }}>{stats.mostActiveDay.date}</span> with{' '}
+        <span style={{ fontWeight: 'bold', color: '#25D366' }}>{stats.mostActiveDay.count}</span> messages
+      </p>
+    </div>
+
+    {/* Monthly Timeline Chart */}
+    <div className="stat-card">
+      <div className="stat-title">Monthly Message Timeline</div>
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={stats.timelineData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="count" fill="#25D366" name="Messages" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+
+    {/* Daily Timeline Chart */}
+    <div className="stat-card">
+      <div className="stat-title">Daily Message Timeline</div>
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={stats.dailyTimelineData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="count" fill="#34B7F1" name="Messages" />
+            {/* Opens on the last 30 days; drag the handles to see the rest */}
+            <Brush
+              dataKey="date"
+              height={20}
+              stroke="#128C7E"
+              startIndex={Math.max(0, stats.dailyTimelineData.length - 30)}
+            />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+
+    {/* Average Messages by Weekday */}
+    <div className="stat-card">
+      <div className="stat-title">Average Messages by Day of Week</div>
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={stats.weekdayData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="day" />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="avg" fill="#25D366" name="Average Messages" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+
+    {/* Messages by Hour */}
+    <div className="stat-card">
+      <div className="stat-title">Messages by Hour of Day</div>
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={stats.hourData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="hour" />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="count" fill="#128C7E" name="Messages" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+
+    <ActivityHeatmaps stats={stats} onShowInChat={onShowInChat} />
+
+    {/* Who Sends More Messages */}
+    <div className="stat-card">
+      <div className="stat-title">Who Sends More Messages?</div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+        <div>
+          <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>Total Messages</h4>
+          <div style={{ height: '300px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie
+                  data={stats.senderData}
+                  cx="50%"
+                  cy="50%"
+                  labelLine={true}
+                  label={({name, percent}) => `${name} (${(percent * 100).toFixed(0)}%)`}
+                  outerRadius={80}
+                  fill="#8884d8"
+                  dataKey="messages"
+                  onClick={(entry) => onShowProfile(entry.name)}
+                >
+                  {stats.senderData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={senderColors[entry.name]} />
+                  ))}
+                </Pie>
+                <Tooltip />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+          <div style={{ marginTop: '20px' }}>
+            {stats.senderData.map(sender => (
+              <div
+                key={sender.name}
+                className="sender-legend"
+                title="Open profile"
+                onClick={() => onShowProfile(sender.name)}
+              >
+                <div style={{ 
+                  width: '12px', 
+                  height: '12px', 
+                  backgroundColor: senderColors[sender.name],
+                  marginRight: '8px' 
+                }}></div>
+                <span>{sender.name}: {sender.messages} messages</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>Total Words</h4>
+          <div style={{ height: '300px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie
+                  data={stats.senderData}
+                  cx="50%"
+                  cy="50%"
+                  labelLine={true}
+                  label={({name, percent}) => `${name} (${(percent * 100).toFixed(0)}%)`}
+                  outerRadius={80}
+                  fill="#8884d8"
+                  dataKey="words"
+                  onClick={(entry) => onShowProfile(entry.name)}
+                >
+                  {stats.senderData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={senderColors[entry.name]} />
+                  ))}
+                </Pie>
+                <Tooltip />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+          <div style={{ marginTop: '20px' }}>
+            {stats.senderData.map(sender => (
+              <div
+                key={sender.name}
+                className="sender-legend"
+                title="Open profile"
+                onClick={() => onShowProfile(sender.name)}
+              >
+                <div style={{ 
+                  width: '12px', 
+                  height: '12px', 
+                  backgroundColor: senderColors[sender.name],
+                  marginRight: '8px' 
+                }}></div>
+                <span>{sender.name}: {sender.words} words</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+
+    {/* Media Shared */}
+    {stats.mediaByTypeData.length > 0 && (
+      <div className="stat-card">
+        <div className="stat-title">Media Shared</div>
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '20px' }}>
+          <div>
+            <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>By Sender</h4>
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={stats.mediaBySenderData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  {stats.mediaByTypeData.map((entry, index) => (
+                    <Bar key={entry.type} dataKey={entry.type} stackId="media" fill={COLORS[index % COLORS.length]} name={_.capitalize(entry.type)} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div>
+            <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>By Type</h4>
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height="100%">
+                <PieChart>
+                  <Pie
+                    data={stats.mediaByTypeData}
+                    cx="50%"
+                    cy="50%"
+                    label={({type, count}) => `${_.capitalize(type)} (${count})`}
+                    outerRadius={80}
+                    dataKey="count"
+                    nameKey="type"
+                  >
+                    {stats.mediaByTypeData.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                    ))}
+                  </Pie>
+                  <Tooltip />
+                </PieChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      </div>
+    )}
+
+    {/* Emojis (missing from chats saved before emoji statistics existed) */}
+    {stats.topEmojis && stats.topEmojis.length > 0 && (
+      <div className="stat-card">
+        <div className="stat-title">Emojis</div>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+          <div>
+            <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>Top Emojis</h4>
+            <div style={{ height: '400px' }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart
+                  data={stats.topEmojis}
+                  layout="vertical"
+                  margin={{ top: 5, right: 30, left: 10, bottom: 5 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" />
+                  <YAxis type="category" dataKey="emoji" tick={{ fontSize: 18 }} width={40} interval={0} />
+                  <Tooltip />
+                  <Bar dataKey="count" fill="#FFD740" name="Uses" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div>
+            <h4 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '15px' }}>By Sender</h4>
+            <table className="stats-table">
+              <thead>
+                <tr>
+                  <th>Sender</th>
+                  <th>Emojis</th>
+                  <th>Per message</th>
+                  <th>Favorites</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.emojiBySenderData.map(sender => (
+                  <tr key={sender.name}>
+                    <td style={{ color: senderColors[sender.name] }}>{sender.name}</td>
+                    <td>{sender.total.toLocaleString()}</td>
+                    <td>{sender.perMessage}</td>
+                    <td style={{ fontSize: '18px' }}>{sender.top.map(({ emoji }) => emoji).join(' ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <h4 style={{ fontSize: '16px', fontWeight: 'bold', margin: '20px 0 15px' }}>Emojis per Message Over Time</h4>
+        <div className="chart-container">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={stats.emojiTimelineData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="perMessage" stroke="#FF5252" name="Emojis per message" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    )}
+
+    {/* Tone (missing from chats saved before sentiment analysis existed) */}
+    {stats.sentiment && (
+      <SentimentCards sentiment={stats.sentiment} senderColors={senderColors} onShowInChat={onShowInChat} />
+    )}
+
+    {/* Links (missing from chats saved before link statistics existed) */}
+    {stats.links && stats.links.total > 0 && (
+      <LinkCards links={stats.links} senderColors={senderColors} onShowInChat={onShowInChat} />
+    )}
+
+    {/* Stickers, GIFs and Deleted Messages */}
+    {stats.placeholderData && stats.placeholderData.length > 0 && (
+      <div className="stat-card">
+        <div className="stat-title">Stickers, GIFs and Deleted Messages</div>
+        <div className="chart-container">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={stats.placeholderData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              <Bar dataKey="sticker" fill="#7C4DFF" name="Stickers" />
+              <Bar dataKey="gif" fill="#448AFF" name="GIFs" />
+              <Bar dataKey="deleted" fill="#FF5252" name="Deleted messages" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    )}
+
+    {/* Most Common Words */}
+    <div className="stat-card">
+      <div className="stat-title">Most Common Words</div>
+      {stats.languages && (
+        <p className="filter-summary">
+          Languages: {stats.languages.map(code => LANGUAGES[code]).join(', ')}
+        </p>
+      )}
+      <div style={{ height: '400px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart 
+            data={stats.topWords} 
+            layout="vertical"
+            margin={{ top: 5, right: 30, left: 80, bottom: 5 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" />
+            <YAxis 
+              type="category" 
+              dataKey="word" 
+              tick={{ fontSize: 12 }}
+              width={80}
+            />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="count" fill="#075E54" name="Occurrences" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+
+    {/* Most Common Phrases */}
+    <div className="stat-card">
+      <div className="stat-title">Most Common Phrases</div>
+      <div style={{ height: '400px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart 
+            data={stats.topPhrases} 
+            layout="vertical"
+            margin={{ top: 5, right: 30, left: 120, bottom: 5 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" />
+            <YAxis 
+              type="category" 
+              dataKey="phrase" 
+              tick={{ fontSize: 12 }}
+              width={120}
+            />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="count" fill="#128C7E" name="Occurrences" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  </>
+);
+
+export default StatisticsTab;
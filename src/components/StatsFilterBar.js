@@ -0,0 +1,92 @@
+import React, { useMemo } from 'react';
+import { getDatePresets, customRange, defaultStatsFilters } from '../analytics/statsFilters';
+
+const toInputValue = (date) => (
+  date
+    ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+    : ''
+);
+
+// Date range presets, custom dates and sender selection for the Statistics tab
+const StatsFilterBar = ({ firstDate, lastDate, senders, senderColors, filters, onChange }) => {
+  const presets = useMemo(() => getDatePresets(firstDate, lastDate), [firstDate, lastDate]);
+
+  const selectPreset = (id) => {
+    if (id === 'custom') {
+      onChange({ ...filters, preset: 'custom' });
+      return;
+    }
+    const preset = presets.find(option => option.id === id);
+    onChange({ ...filters, preset: id, from: preset.from, to: preset.to });
+  };
+
+  const changeCustomDate = (field, value) => {
+    const range = customRange(
+      field === 'from' ? value : toInputValue(filters.from),
+      field === 'to' ? value : toInputValue(filters.to)
+    );
+    onChange({ ...filters, preset: 'custom', ...range });
+  };
+
+  const toggleSender = (name) => {
+    const selected = filters.senders.includes(name)
+      ? filters.senders.filter(sender => sender !== name)
+      : [...filters.senders, name];
+    onChange({ ...filters, senders: selected });
+  };
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-row">
+        <span className="filter-label">Period</span>
+        <select value={filters.preset} onChange={(e) => selectPreset(e.target.value)}>
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.label}</option>
+          ))}
+          <option value="custom">Custom…</option>
+        </select>
+
+        {filters.preset === 'custom' && (
+          <>
+            <input
+              type="date"
+              value={toInputValue(filters.from)}
+              min={toInputValue(firstDate)}
+              max={toInputValue(lastDate)}
+              onChange={(e) => changeCustomDate('from', e.target.value)}
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={toInputValue(filters.to)}
+              min={toInputValue(firstDate)}
+              max={toInputValue(lastDate)}
+              onChange={(e) => changeCustomDate('to', e.target.value)}
+            />
+          </>
+        )}
+      </div>
+
+      <div className="filter-row">
+        <span className="filter-label">Senders</span>
+        {senders.map(name => (
+          <button
+            key={name}
+            className={`sender-chip ${filters.senders.length === 0 || filters.senders.includes(name) ? 'selected' : ''}`}
+            style={{ borderColor: senderColors[name] }}
+            onClick={() => toggleSender(name)}
+          >
+            {name}
+          </button>
+        ))}
+        {(filters.senders.length > 0 || filters.from || filters.to) && (
+          <button className="filter-reset" onClick={() => onChange(defaultStatsFilters())}>
+            Reset filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StatsFilterBar;
@@ -0,0 +1,20 @@
+import React, { useMemo } from 'react';
+import { listTimeZones } from '../parsing/timeZones';
+
+// Drop-down of IANA time zones, e.g. "Europe/Berlin"
+const TimeZoneSelect = ({ value, onChange, disabled }) => {
+  const zones = useMemo(() => {
+    const all = listTimeZones();
+    return all.includes(value) ? all : [value, ...all];
+  }, [value]);
+
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled}>
+      {zones.map(zone => (
+        <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+      ))}
+    </select>
+  );
+};
+
+export default TimeZoneSelect;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { LANGUAGES } from '../analytics/textProcessing';
+
+// Panel for the word and phrase charts: stopword languages (detected or
+// picked by hand), custom exclusions and stemming. Like the participants
+// panel, changes are applied together so the statistics are recomputed once.
+const WordSettings = ({ settings, detectedLanguages, onApply, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const [exclusions, setExclusions] = useState(settings.customExclusions.join(', '));
+  const languages = draft.languages || detectedLanguages;
+
+  const toggleLanguage = (code) => {
+    const selected = languages.includes(code)
+      ? languages.filter(language => language !== code)
+      : [...languages, code];
+    setDraft({ ...draft, languages: selected });
+  };
+
+  const apply = () => {
+    onApply({
+      ...draft,
+      customExclusions: exclusions.split(/[,\n]/).map(word => word.trim()).filter(Boolean)
+    });
+  };
+
+  return (
+    <div className="stat-card">
+      <div className="stat-title">Word Settings</div>
+
+      <label className="settings-option">
+        <input
+          type="checkbox"
+          checked={draft.removeStopwords}
+          onChange={(e) => setDraft({ ...draft, removeStopwords: e.target.checked })}
+        />
+        Hide common words (stopwords)
+      </label>
+
+      <div className="filter-row settings-option">
+        <span className="filter-label">Languages</span>
+        {Object.entries(LANGUAGES).map(([code, name]) => (
+          <button
+            key={code}
+            className={`sender-chip ${languages.includes(code) ? 'selected' : ''}`}
+            disabled={!draft.removeStopwords}
+            onClick={() => toggleLanguage(code)}
+          >
+            {name}
+          </button>
+        ))}
+        {draft.languages && (
+          <button className="filter-reset" onClick={() => setDraft({ ...draft, languages: null })}>
+            Detect automatically
+          </button>
+        )}
+      </div>
+
+      <label className="settings-option">
+        Also hide these words (separated by commas)
+        <textarea
+          value={exclusions}
+          onChange={(e) => setExclusions(e.target.value)}
+          rows={2}
+          className="settings-textarea"
+        />
+      </label>
+
+      <label className="settings-option">
+        <input
+          type="checkbox"
+          checked={draft.lemmatize}
+          onChange={(e) => setDraft({ ...draft, lemmatize: e.target.checked })}
+        />
+        Merge word forms (e.g. "message" and "messages")
+      </label>
+
+      <div>
+        <button className="upload-btn" onClick={apply}>
+          Apply
+        </button>
+        <button className="secondary-btn" onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WordSettings;
@@ -0,0 +1,18 @@
+import Papa from 'papaparse';
+import { downloadBlob, fileNameSlug } from './download';
+
+// The chat's messages as a CSV in the format the importer reads back, so a
+// filtered or anonymized chat can be shared and analyzed again.
+// Media keep their placeholder or "<attached: ...>" text in the message column.
+export const exportChatCsv = (rows, info) => {
+  const csv = Papa.unparse(rows.map(row => ({
+    datetime: new Date(row.timestamp !== undefined ? row.timestamp : row.datetime).toISOString(),
+    date: row.date,
+    time: row.time,
+    hour: row.hour,
+    weekday: row.weekday,
+    sender: row.sender,
+    message: row.message
+  })));
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), `${fileNameSlug(info.title)}-messages.csv`);
+};
@@ -0,0 +1,20 @@
+// Saves a blob as a file through a temporary link
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// File-name friendly version of a chat name, e.g. "Family & Friends" → "family-friends"
+export const fileNameSlug = (name) => (
+  (name || 'whatsapp-chat')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '') || 'whatsapp-chat'
+);
@@ -0,0 +1,53 @@
+import { downloadBlob, fileNameSlug } from './download';
+
+// Report export of the Statistics tab. Every direct child of the report
+// element (the header and each card) is captured as an image. The capture
+// libraries are large, so they are only loaded when a report is exported.
+
+const BACKGROUND = '#f0f2f5';
+const PAGE_MARGIN = 30;
+const SECTION_SPACING = 12;
+
+const loadHtml2Canvas = async () => (await import('html2canvas')).default;
+
+const capture = async (element) => {
+  const html2canvas = await loadHtml2Canvas();
+  return html2canvas(element, { backgroundColor: BACKGROUND, scale: 2, logging: false });
+};
+
+// A single tall PNG with every card, for sharing in a chat or on social media
+export const exportReportPng = async (element, title) => {
+  const canvas = await capture(element);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  downloadBlob(blob, `${fileNameSlug(title)}-report.png`);
+};
+
+// A multi-page A4 PDF. Cards are never split across pages; a card taller
+// than a page is scaled down to fit on its own page.
+export const exportReportPdf = async (element, title) => {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const maxWidth = pageWidth - PAGE_MARGIN * 2;
+  const maxHeight = pageHeight - PAGE_MARGIN * 2;
+
+  pdf.setProperties({ title });
+  let y = PAGE_MARGIN;
+
+  for (const section of Array.from(element.children)) {
+    const canvas = await capture(section);
+    const scale = Math.min(maxWidth / canvas.width, maxHeight / canvas.height);
+    const width = canvas.width * scale;
+    const height = canvas.height * scale;
+
+    if (y + height > pageHeight - PAGE_MARGIN && y > PAGE_MARGIN) {
+      pdf.addPage();
+      y = PAGE_MARGIN;
+    }
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', PAGE_MARGIN + (maxWidth - width) / 2, y, width, height);
+    y += height + SECTION_SPACING;
+  }
+
+  pdf.save(`${fileNameSlug(title)}-report.pdf`);
+};
@@ -0,0 +1,34 @@
+import Papa from 'papaparse';
+import JSZip from 'jszip';
+import { downloadBlob, fileNameSlug } from './download';
+
+// The computed series that can be downloaded for analysis in other tools
+const SERIES = ['timelineData', 'hourData', 'weekdayData', 'senderData', 'topWords', 'topPhrases'];
+
+// info describes the chat: { title, startDate, endDate, participants, messageCount }
+const buildExport = (stats, info) => ({
+  chat: {
+    title: info.title,
+    startDate: info.startDate,
+    endDate: info.endDate,
+    participants: info.participants,
+    messageCount: info.messageCount
+  },
+  exportedAt: new Date(),
+  ...Object.fromEntries(SERIES.map(name => [name, stats[name] || []]))
+});
+
+export const exportStatsJson = (stats, info) => {
+  const json = JSON.stringify(buildExport(stats, info), null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), `${fileNameSlug(info.title)}-stats.json`);
+};
+
+// One CSV file per series, bundled in a zip archive
+export const exportStatsCsv = async (stats, info) => {
+  const zip = new JSZip();
+  SERIES.forEach(name => {
+    zip.file(`${name}.csv`, Papa.unparse(stats[name] || []));
+  });
+  const blob = await zip.generateAsync({ type: 'blob' });
+  downloadBlob(blob, `${fileNameSlug(info.title)}-stats-csv.zip`);
+};
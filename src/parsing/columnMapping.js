@@ -0,0 +1,127 @@
+// Maps the columns of an arbitrary CSV onto the fields the importer needs.
+//
+// Only the sender, the message and when it was sent are needed: either one
+// date-and-time column (e.g. "Timestamp") or separate date and time columns.
+// hour, weekday, date and time are always derived from the parsed instant.
+// Converters that keep quoted replies can also map the quoted sender.
+//
+// A mapping is { datetime, date, time, sender, message, replyTo } where each
+// value is a CSV header or null. Presets are { name, mapping } saved by the user for
+// converters they import from repeatedly.
+
+export const MAPPING_FIELDS = [
+  { key: 'sender', label: 'Sender' },
+  { key: 'message', label: 'Message' },
+  { key: 'datetime', label: 'Date and time' },
+  { key: 'date', label: 'Date' },
+  { key: 'time', label: 'Time' },
+  { key: 'replyTo', label: 'Replying to (optional)' }
+];
+
+// Header names other tools commonly use for each field, compared lowercased
+// with spaces, dashes and underscores removed
+const SYNONYMS = {
+  sender: ['sender', 'author', 'from', 'name', 'user', 'username', 'contact', 'sendername', 'participant'],
+  message: ['message', 'text', 'body', 'content', 'msg', 'messagetext', 'messagebody'],
+  datetime: ['datetime', 'timestamp', 'sentat', 'sent', 'createdat', 'messagedate', 'sentdate'],
+  date: ['date', 'day', 'messagedate'],
+  time: ['time', 'hourminute', 'messagetime'],
+  replyTo: ['replyto', 'inreplyto', 'replyingto', 'quotedsender', 'quotedauthor', 'quotedfrom']
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_-]+/g, '');
+
+export const emptyMapping = () => ({ datetime: null, date: null, time: null, sender: null, message: null, replyTo: null });
+
+// Best guess from the header names
+export const guessMapping = (headers) => {
+  const mapping = emptyMapping();
+  const used = new Set();
+  Object.entries(SYNONYMS).forEach(([field, names]) => {
+    const header = headers.find(candidate => !used.has(candidate) && names.includes(normalizeHeader(candidate)));
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  });
+  return mapping;
+};
+
+// Fields that still need a column, e.g. ['sender'] or ['date and time']
+export const missingFields = (mapping) => {
+  const missing = [];
+  if (!mapping.sender) missing.push('sender');
+  if (!mapping.message) missing.push('message');
+  if (!mapping.datetime && !(mapping.date && mapping.time)) missing.push('date and time');
+  return missing;
+};
+
+// The first preset whose columns all exist in the file, otherwise a guess.
+// Returns { mapping, preset } where preset is the name of the preset used.
+// Presets saved before a field existed have no key for it.
+export const pickMapping = (headers, presets = []) => {
+  const preset = presets.find(({ mapping }) => (
+    missingFields(mapping).length === 0
+    && Object.values(mapping).every(header => !header || headers.includes(header))
+  ));
+  return preset ? { mapping: preset.mapping, preset: preset.name } : { mapping: guessMapping(headers), preset: null };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Unix time in seconds or milliseconds
+const EPOCH = /^\d{10}(?:\d{3})?$/;
+// ISO 8601 with a zone, e.g. 2024-01-31T18:04:00Z or 2024-01-31 18:04:00+02:00
+const ISO_WITH_ZONE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+// A date, then a time: "31/01/2024 18:04", "1/31/24, 6:04 PM", "2024-01-31T18:04:00"
+const DATE_THEN_TIME = /^(\d{1,4}[./-]\d{1,2}[./-]\d{1,4})[,T\s]+(.+)$/;
+
+// Splits a combined date-and-time value. Values that name an exact instant
+// (Unix time, ISO with a zone) return { instant } in milliseconds; they do
+// not depend on the export's time zone. Returns null when unrecognized.
+const splitDateTime = (value) => {
+  const text = (value || '').trim();
+
+  if (EPOCH.test(text)) {
+    return { instant: text.length === 10 ? Number(text) * 1000 : Number(text) };
+  }
+  if (ISO_WITH_ZONE.test(text)) {
+    const instant = Date.parse(text.replace(' ', 'T'));
+    return Number.isNaN(instant) ? null : { instant };
+  }
+
+  const match = text.match(DATE_THEN_TIME);
+  return match ? { dateStr: match[1], timeStr: match[2].replace(/Z$/i, '') } : null;
+};
+
+// Raw entries ({ line, dateStr, timeStr, instant?, sender, message, replyTo? }) for
+// applyDateFormat. Instants get their UTC date and time as strings so that
+// the date format detection sees year-first dates.
+export const mapCsvRows = (rows, mapping) => rows.map((row, index) => {
+  // Header is line 1, so data rows start at line 2
+  const entry = {
+    line: index + 2,
+    sender: (row[mapping.sender] || '').trim(),
+    message: row[mapping.message] || ''
+  };
+  const replyTo = mapping.replyTo && (row[mapping.replyTo] || '').trim();
+  if (replyTo) entry.replyTo = replyTo;
+
+  const combined = mapping.datetime && !(mapping.date && mapping.time) ? splitDateTime(row[mapping.datetime]) : null;
+  if (combined && combined.instant !== undefined) {
+    const utc = new Date(combined.instant);
+    entry.instant = combined.instant;
+    entry.dateStr = `${utc.getUTCFullYear()}-${pad(utc.getUTCMonth() + 1)}-${pad(utc.getUTCDate())}`;
+    entry.timeStr = `${pad(utc.getUTCHours())}:${pad(utc.getUTCMinutes())}:${pad(utc.getUTCSeconds())}`;
+  } else if (combined) {
+    entry.dateStr = combined.dateStr;
+    entry.timeStr = combined.timeStr;
+  } else if (mapping.date && mapping.time) {
+    entry.dateStr = row[mapping.date];
+    entry.timeStr = row[mapping.time];
+  } else {
+    entry.dateStr = row[mapping.datetime];
+    entry.timeStr = '';
+  }
+  return entry;
+});
@@ -0,0 +1,304 @@
+// Date format detection and parsing for chat imports.
+//
+// WhatsApp writes dates in the phone's locale, so the same export can be
+// DD/MM/YYYY, MM/DD/YY, YYYY-MM-DD, DD.MM.YY, ... with 12 or 24-hour clocks.
+// Instead of guessing per row, the whole file is scanned once to pick a
+// format, and every row is then parsed with that format.
+//
+// The parsed wall-clock times are placed in the export's time zone, see timeZones.js.
+
+import { localTimeZone, zonedTimeToUtc, getZonedParts } from './timeZones';
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const DATE_ORDERS = {
+  DMY: 'Day / Month / Year',
+  MDY: 'Month / Day / Year',
+  YMD: 'Year / Month / Day'
+};
+
+const DATE_PATTERN = /^(\d{1,4})([./-])(\d{1,2})[./-](\d{1,4})$/;
+const TIME_PATTERN = /^(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?(?:[\s\u00a0\u202f]?([AaPp])\.?\s?[Mm]\.?)?$/;
+
+const splitDate = (dateStr) => {
+  const match = String(dateStr).trim().match(DATE_PATTERN);
+  if (!match) return null;
+  return {
+    fields: [match[1], match[3], match[4]],
+    separator: match[2]
+  };
+};
+
+const parseTime = (timeStr) => {
+  if (!timeStr) return { hours: 0, minutes: 0, seconds: 0, meridiem: null, hasSeconds: false };
+
+  const match = String(timeStr).trim().match(TIME_PATTERN);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = match[3] ? parseInt(match[3], 10) : 0;
+  const meridiem = match[4] ? match[4].toUpperCase() : null;
+
+  if (meridiem && (hours < 1 || hours > 12)) return null;
+  if (meridiem === 'P' && hours < 12) hours += 12;
+  if (meridiem === 'A' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  return { hours, minutes, seconds, meridiem, hasSeconds: Boolean(match[3]) };
+};
+
+const daysInMonth = (year, month) => new Date(year, month, 0).getDate();
+
+// Returns { year, month, day } (month 1-12) or null if the fields do not form
+// a real calendar date in the given order
+const toCalendarDate = (fields, order) => {
+  const numbers = fields.map(field => parseInt(field, 10));
+  let day, month, year;
+
+  if (order === 'YMD') {
+    [year, month, day] = numbers;
+  } else if (order === 'MDY') {
+    [month, day, year] = numbers;
+  } else {
+    [day, month, year] = numbers;
+  }
+
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12) return null;
+  if (day < 1 || day > daysInMonth(year, month)) return null;
+
+  return { year, month, day };
+};
+
+// Parses a date and time string with an explicit format into wall-clock
+// fields { year, month, day, hours, minutes, seconds }, or null when the row
+// does not fit the format.
+const parseWallTime = (dateStr, timeStr, format) => {
+  const date = splitDate(dateStr);
+  if (!date) return null;
+
+  const calendarDate = toCalendarDate(date.fields, format.order);
+  if (!calendarDate) return null;
+
+  const time = parseTime(timeStr);
+  if (!time) return null;
+
+  const { year, month, day } = calendarDate;
+  return { year, month, day, hours: time.hours, minutes: time.minutes, seconds: time.seconds };
+};
+
+// Parses a date and time string with an explicit format.
+// Returns a Date, or null when the row does not fit the format.
+export const parseDateTime = (dateStr, timeStr, format) => {
+  const wall = parseWallTime(dateStr, timeStr, format);
+  if (!wall) return null;
+
+  return new Date(wall.year, wall.month - 1, wall.day, wall.hours, wall.minutes, wall.seconds);
+};
+
+const scoreOrder = (samples, format) => {
+  let invalid = 0;
+  let backwards = 0;
+  let previous = null;
+
+  samples.forEach(({ dateStr, timeStr }) => {
+    const datetime = parseDateTime(dateStr, timeStr, format);
+    if (!datetime) {
+      invalid++;
+      return;
+    }
+    if (previous && datetime < previous) backwards++;
+    previous = datetime;
+  });
+
+  return { format, invalid, backwards };
+};
+
+// Scans every date/time pair of a file and infers its format.
+// Returns { format, confidence, reason } where confidence is between 0 and 1.
+//
+// Each candidate order is scored by how many rows it cannot parse at all
+// (e.g. month 13) and, because chat exports are chronological, by how often
+// it makes the timestamps jump backwards.
+export const detectDateFormat = (samples) => {
+  const separatorCounts = {};
+  let fourDigitYears = 0;
+  let twoDigitYears = 0;
+  let meridiemCount = 0;
+  let secondsCount = 0;
+  let yearFirst = 0;
+  let validSamples = 0;
+
+  samples.forEach(({ dateStr, timeStr }) => {
+    const date = splitDate(dateStr);
+    if (!date) return;
+    validSamples++;
+
+    separatorCounts[date.separator] = (separatorCounts[date.separator] || 0) + 1;
+    if (date.fields[0].length === 4) yearFirst++;
+
+    const yearField = date.fields[0].length === 4 ? date.fields[0] : date.fields[2];
+    if (yearField.length === 4) fourDigitYears++;
+    else twoDigitYears++;
+
+    const time = parseTime(timeStr);
+    if (time && time.meridiem) meridiemCount++;
+    if (time && time.hasSeconds) secondsCount++;
+  });
+
+  const separator = Object.keys(separatorCounts)
+    .sort((a, b) => separatorCounts[b] - separatorCounts[a])[0] || '/';
+
+  const baseFormat = {
+    separator,
+    yearDigits: fourDigitYears >= twoDigitYears ? 4 : 2,
+    hour12: meridiemCount > validSamples / 2,
+    seconds: secondsCount > validSamples / 2
+  };
+
+  if (validSamples === 0) {
+    return {
+      format: { ...baseFormat, order: 'DMY' },
+      confidence: 0,
+      reason: 'No recognizable dates were found.'
+    };
+  }
+
+  const candidates = (yearFirst > validSamples / 2 ? ['YMD'] : ['DMY', 'MDY'])
+    .map(order => scoreOrder(samples, { ...baseFormat, order }))
+    .sort((a, b) => a.invalid - b.invalid || a.backwards - b.backwards);
+
+  const [best, runnerUp] = candidates;
+  let confidence;
+  let reason;
+
+  if (!runnerUp) {
+    confidence = best.invalid === 0 ? 1 : 1 - best.invalid / validSamples;
+    reason = 'Dates start with a four-digit year.';
+  } else if (best.invalid === 0 && runnerUp.invalid > 0) {
+    confidence = 1;
+    reason = `${runnerUp.invalid} date(s) only make sense as ${DATE_ORDERS[best.format.order]}.`;
+  } else if (best.invalid > 0) {
+    confidence = Math.max(0, 1 - best.invalid / validSamples) * 0.5;
+    reason = 'Some dates do not fit either day/month order.';
+  } else if (best.backwards < runnerUp.backwards) {
+    confidence = 0.5 + 0.45 * (1 - best.backwards / Math.max(runnerUp.backwards, 1));
+    reason = 'All dates are ambiguous; chose the order that keeps messages chronological.';
+  } else {
+    confidence = 0.5;
+    reason = 'All dates are ambiguous; defaulted to day-first. Please check the format.';
+  }
+
+  return {
+    format: best.format,
+    confidence: Math.round(confidence * 100) / 100,
+    reason
+  };
+};
+
+// Human-readable description such as "DD/MM/YYYY HH:mm" or "MM/DD/YY h:mm:ss AM/PM"
+export const describeDateFormat = (format) => {
+  const year = format.yearDigits === 2 ? 'YY' : 'YYYY';
+  const parts = {
+    DMY: ['DD', 'MM', year],
+    MDY: ['MM', 'DD', year],
+    YMD: [year, 'MM', 'DD']
+  }[format.order];
+
+  const time = `${format.hour12 ? 'h' : 'HH'}:mm${format.seconds ? ':ss' : ''}${format.hour12 ? ' AM/PM' : ''}`;
+  return `${parts.join(format.separator)} ${time}`;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Writes a calendar date the way the export did, e.g. 31/01/2024 for DD/MM/YYYY.
+// Without a format (chats imported before formats were kept) it is YYYY-MM-DD.
+const formatCalendarDate = ({ year, month, day }, format) => {
+  if (!format) return `${year}-${pad(month)}-${pad(day)}`;
+  const yearText = format.yearDigits === 2 ? pad(year % 100) : String(year);
+  const parts = {
+    DMY: [pad(day), pad(month), yearText],
+    MDY: [pad(month), pad(day), yearText],
+    YMD: [yearText, pad(month), pad(day)]
+  }[format.order];
+  return parts.join(format.separator);
+};
+
+// The columns that describe when a message was sent, as seen in timeZone.
+// datetime is a local Date built from the wall-clock fields in that zone. Its
+// local fields match them except for times in a DST gap of the browser's own
+// zone, which move forward an hour, so hour and weekday are the columns to
+// group and filter by.
+export const zonedColumns = (timestamp, timeZone, format) => {
+  const parts = getZonedParts(timestamp, timeZone);
+  return {
+    datetime: new Date(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds),
+    date: formatCalendarDate(parts, format),
+    time: `${pad(parts.hours)}:${pad(parts.minutes)}:${pad(parts.seconds)}`,
+    hour: String(parts.hours),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+// How often (in entries) progress is reported
+const PROGRESS_INTERVAL = 5000;
+
+// Converts raw entries ({ line, dateStr, timeStr, ...fields }) into chat rows
+// with the instant they were sent (timestamp) and the derived datetime, date,
+// time, hour and weekday columns in the display zone. Those columns are always
+// recomputed, even when a CSV has them, so they agree with each other.
+//
+// timeZones is { source, display }; both default to the browser's zone.
+// Entries that already know their instant (e.g. a CSV with Unix times) carry
+// it as instant and skip the source zone.
+// Entries that do not parse are returned as errors instead of being guessed.
+// Times that fall into a daylight saving gap or overlap are returned as
+// dstAdjustments: gaps are moved forward, and for overlaps the occurrence
+// that keeps the chat in chronological order is used.
+export const applyDateFormat = (entries, format, onProgress = () => {}, timeZones = {}) => {
+  const source = timeZones.source || localTimeZone();
+  const display = timeZones.display || source;
+  const rows = [];
+  const errors = [];
+  const dstAdjustments = [];
+  let previous = null;
+
+  entries.forEach(({ dateStr, timeStr, instant, ...fields }, index) => {
+    if (index % PROGRESS_INTERVAL === 0) {
+      onProgress(index / entries.length);
+    }
+
+    if (instant !== undefined) {
+      previous = instant;
+      rows.push(Object.assign(fields, zonedColumns(instant, display, format), { timestamp: instant }));
+      return;
+    }
+
+    const wall = parseWallTime(dateStr, timeStr, format);
+    const value = () => [dateStr, timeStr].filter(Boolean).join(' ');
+
+    if (!wall) {
+      errors.push({
+        line: fields.line,
+        value: value(),
+        reason: `Does not match ${describeDateFormat(format)}`
+      });
+      return;
+    }
+
+    const { earlier, later, adjustment } = zonedTimeToUtc(wall, source);
+    const timestamp = adjustment === 'overlap' && previous !== null && earlier < previous ? later : earlier;
+    if (adjustment) {
+      dstAdjustments.push({ line: fields.line, value: value(), adjustment });
+    }
+    previous = timestamp;
+
+    // fields is already a copy of the entry, so it becomes the row
+    rows.push(Object.assign(fields, zonedColumns(timestamp, display, format), { timestamp }));
+  });
+
+  rows.sort((a, b) => a.timestamp - b.timestamp);
+  onProgress(1);
+  return { rows, errors, dstAdjustments };
+};
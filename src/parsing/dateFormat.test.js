@@ -0,0 +1,73 @@
+import { detectDateFormat, parseDateTime, describeDateFormat } from './dateFormat';
+
+const samples = (pairs) => pairs.map(([dateStr, timeStr]) => ({ dateStr, timeStr }));
+
+describe('detectDateFormat', () => {
+  it('picks day-first when some days are above 12', () => {
+    const { format, confidence } = detectDateFormat(samples([
+      ['03/01/2024', '09:30'],
+      ['25/01/2024', '10:00'],
+      ['02/02/2024', '11:15']
+    ]));
+    expect(format).toMatchObject({ order: 'DMY', separator: '/', yearDigits: 4, hour12: false, seconds: false });
+    expect(confidence).toBe(1);
+  });
+
+  it('picks month-first when some months would be above 12 otherwise', () => {
+    const { format, confidence } = detectDateFormat(samples([
+      ['1/3/24', '9:30 AM'],
+      ['1/25/24', '10:00 PM'],
+      ['2/2/24', '11:15 AM']
+    ]));
+    expect(format).toMatchObject({ order: 'MDY', yearDigits: 2, hour12: true });
+    expect(confidence).toBe(1);
+  });
+
+  it('reads year-first dates', () => {
+    const { format, confidence } = detectDateFormat(samples([
+      ['2024-01-03', '09:30:15'],
+      ['2024-01-25', '10:00:00']
+    ]));
+    expect(format).toMatchObject({ order: 'YMD', separator: '-', yearDigits: 4, seconds: true });
+    expect(confidence).toBe(1);
+  });
+
+  it('keeps ambiguous dates chronological', () => {
+    // As DMY these run 5, 6, 7 January and 1 February; as MDY July goes back to January
+    const { format, confidence, reason } = detectDateFormat(samples([
+      ['05/01/2024', '09:00'],
+      ['06/01/2024', '09:00'],
+      ['07/01/2024', '09:00'],
+      ['01/02/2024', '09:00']
+    ]));
+    expect(format.order).toBe('DMY');
+    expect(confidence).toBeGreaterThan(0.5);
+    expect(reason).toMatch(/chronological/);
+  });
+
+  it('defaults to day-first with low confidence when nothing decides', () => {
+    const { format, confidence } = detectDateFormat(samples([['01/02/2024', '09:00']]));
+    expect(format.order).toBe('DMY');
+    expect(confidence).toBe(0.5);
+  });
+
+  it('reports files without dates', () => {
+    expect(detectDateFormat(samples([['yesterday', '09:00']])).confidence).toBe(0);
+  });
+});
+
+describe('parseDateTime', () => {
+  const dmy = { order: 'DMY', separator: '.', yearDigits: 2, hour12: false, seconds: false };
+
+  it('parses with the chosen format and rejects impossible dates', () => {
+    expect(parseDateTime('29.02.24', '23:59', dmy)).toEqual(new Date(2024, 1, 29, 23, 59, 0));
+    expect(parseDateTime('30.02.24', '10:00', dmy)).toBeNull();
+    expect(parseDateTime('12.01.24', '12:15 AM', { ...dmy, hour12: true })).toEqual(new Date(2024, 0, 12, 0, 15));
+  });
+
+  it('describes formats', () => {
+    expect(describeDateFormat(dmy)).toBe('DD.MM.YY HH:mm');
+    expect(describeDateFormat({ order: 'MDY', separator: '/', yearDigits: 4, hour12: true, seconds: true }))
+      .toBe('MM/DD/YYYY h:mm:ss AM/PM');
+  });
+});
@@ -0,0 +1,20 @@
+// Recognizes the text WhatsApp exports in place of a deleted message. The
+// parser keeps these out of the system lines and the statistics count them.
+
+// What a deleted message looks like in exports made in these languages
+export const DELETED_MESSAGE = new RegExp(`^(${[
+  'this message was deleted',
+  'you deleted this message',
+  'ההודעה נמחקה',
+  'מחקת את ההודעה הזו',
+  'se eliminó este mensaje',
+  'eliminaste este mensaje',
+  'esta mensagem foi apagada',
+  'você apagou esta mensagem',
+  'ce message a été supprimé',
+  'vous avez supprimé ce message',
+  'diese nachricht wurde gelöscht',
+  'du hast diese nachricht gelöscht'
+].join('|')})\\.?$`, 'i');
+
+export const isDeletedMessage = (text) => Boolean(text) && DELETED_MESSAGE.test(text.trim());
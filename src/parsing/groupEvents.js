@@ -0,0 +1,118 @@
+// Group events in WhatsApp exports: members being added, removed, joining
+// or leaving, and changes to the group's subject, icon and description.
+//
+// Text exports write them as system lines without a sender. Some exports and
+// CSV converters put them under a sender instead (the group's name, or the
+// person who made the change), so rows that are not marked as system lines
+// are checked too. An event is { type, actor, targets, subject } where
+// actor made the change and targets are the members whose membership changed.
+// The exporting phone's owner is "You".
+
+// Types that add targets to the group or take them out
+export const JOIN_TYPES = ['created', 'added', 'joined'];
+export const LEAVE_TYPES = ['removed', 'left'];
+
+const QUOTE_OPEN = '["\u201C]';
+const QUOTE_CLOSE = '["\u201D]';
+
+// Event lines are short; longer messages are not checked
+const MAX_EVENT_LENGTH = 300;
+
+const normalizeName = (name) => (name.toLowerCase() === 'you' ? 'You' : name.trim());
+
+// "Bob, Carol and Dave" → ['Bob', 'Carol', 'Dave']
+const splitNames = (text) => text.split(/,\s*|\s+and\s+/).filter(Boolean).map(normalizeName);
+
+const PATTERNS = [
+  {
+    type: 'created',
+    pattern: new RegExp(`^(.+?) created (?:the )?group ${QUOTE_OPEN}(.*)${QUOTE_CLOSE}$`),
+    event: ([, actor, subject]) => ({ actor, targets: [actor], subject })
+  },
+  {
+    type: 'subject',
+    pattern: new RegExp(`^(.+?) changed the subject (?:from ${QUOTE_OPEN}.*${QUOTE_CLOSE} )?to ${QUOTE_OPEN}(.*)${QUOTE_CLOSE}$`),
+    event: ([, actor, subject]) => ({ actor, targets: [], subject })
+  },
+  {
+    type: 'icon',
+    pattern: /^(.+?) (?:changed|deleted|removed) this group['\u2019]s icon$/,
+    event: ([, actor]) => ({ actor, targets: [], subject: null })
+  },
+  {
+    type: 'description',
+    pattern: /^(.+?) (?:changed|deleted) the group description$/,
+    event: ([, actor]) => ({ actor, targets: [], subject: null })
+  },
+  {
+    type: 'joined',
+    pattern: /^(.+?) joined(?: using this group['\u2019]s invite link| from the community)?$/,
+    event: ([, actor]) => ({ actor, targets: [actor], subject: null })
+  },
+  {
+    type: 'left',
+    pattern: /^(.+?) left$/,
+    event: ([, actor]) => ({ actor, targets: [actor], subject: null })
+  },
+  {
+    type: 'added',
+    pattern: /^(.+?) added (.+)$/,
+    event: ([, actor, targets]) => ({ actor, targets: splitNames(targets), subject: null })
+  },
+  {
+    type: 'removed',
+    pattern: /^(.+?) removed (.+)$/,
+    event: ([, actor, targets]) => ({ actor, targets: splitNames(targets), subject: null })
+  }
+];
+
+// The event described by a system line, or null
+export const parseGroupEvent = (text) => {
+  const line = (text || '').trim();
+  if (!line || line.length > MAX_EVENT_LENGTH || line.includes('\n')) return null;
+
+  for (const { type, pattern, event } of PATTERNS) {
+    const match = line.match(pattern);
+    if (match) {
+      const { actor, targets, subject } = event(match);
+      return { type, actor: normalizeName(actor), targets: targets.map(normalizeName), subject };
+    }
+  }
+  return null;
+};
+
+// Splits imported rows into chat rows and group events. System lines that
+// describe an event become events; other system lines stay in the rows (and
+// are dropped with the rest of the system notices). A row with a sender is
+// an event only when its sender made the change, or when the sender posts
+// several events and nothing else, like a group name does.
+// Events keep the row's time columns: { ...row, type, actor, targets, subject }.
+export const splitGroupEvents = (rows) => {
+  const parsed = rows.map(row => parseGroupEvent(row.message));
+  const writers = new Set();
+  const eventCounts = {};
+  rows.forEach((row, index) => {
+    if (row.system) return;
+    if (parsed[index]) {
+      eventCounts[row.sender] = (eventCounts[row.sender] || 0) + 1;
+    } else {
+      writers.add(row.sender);
+    }
+  });
+
+  const messages = [];
+  const events = [];
+  rows.forEach((row, index) => {
+    const event = parsed[index];
+    const isEvent = event && (
+      row.system || event.actor === row.sender || (!writers.has(row.sender) && eventCounts[row.sender] > 1)
+    );
+    if (isEvent) {
+      const { system, ...fields } = row;
+      events.push(Object.assign(fields, event));
+    } else {
+      messages.push(row);
+    }
+  });
+  return { messages, events };
+};
@@ -0,0 +1,99 @@
+// Checks made while importing, so that every row of the file is accounted
+// for in the import report: accepted, rejected (with a reason) or skipped
+// as a duplicate.
+
+const MINUTE = 60 * 1000;
+// Shorter repeated runs of minute-precision rows are kept
+const MIN_REPEATED_RUN = 3;
+
+const describeEntry = ({ dateStr, timeStr, sender }) => [dateStr, timeStr, sender].filter(Boolean).join(' ');
+
+// Rejects entries without a sender or text. System notices (e.g. "Alice
+// added Bob") have no sender and are kept; they are skipped later on.
+// Returns { entries, rejected: [{ line, value, reason }] }
+export const validateEntries = (entries) => {
+  const valid = [];
+  const rejected = [];
+
+  entries.forEach(entry => {
+    let reason = null;
+    if (!entry.system && !(entry.sender || '').trim()) {
+      reason = 'Missing sender';
+    } else if (!entry.system && !(entry.message || '').trim()) {
+      reason = 'Empty message';
+    }
+
+    if (reason) {
+      rejected.push({ line: entry.line, value: describeEntry(entry), reason });
+    } else {
+      valid.push(entry);
+    }
+  });
+
+  return { entries: valid, rejected };
+};
+
+// Android exports only have the minute, so the same text twice in one
+// minute ("ok", a burst of photos) is usually real and must be kept.
+// Rows are only dropped when they certainly repeat an earlier one:
+// - with second precision, a row with the same instant, sender and text
+// - with minute precision, runs of at least MIN_REPEATED_RUN rows that repeat
+//   an earlier run of the file line by line (an export pasted twice, or
+//   overlapping exports concatenated) and hold more than one distinct message
+// Returns { rows, duplicates: [{ line, duplicateOf, value }] }
+export const removeDuplicateRows = (rows) => {
+  const precise = rows.some(row => row.timestamp % MINUTE !== 0);
+  const inFileOrder = [...rows].sort((a, b) => a.line - b.line);
+  const keys = inFileOrder.map(row => `${row.timestamp}\u0000${row.sender}\u0000${row.message}`);
+  // Positions (in file order) of the rows kept so far, by key
+  const kept = new Map();
+  const duplicateOf = new Map();
+
+  // Length of the run at index that repeats the earlier run at start; the
+  // two runs may not overlap
+  const repeatLength = (start, index) => {
+    let length = 0;
+    while (index + length < keys.length && start + length < index && keys[start + length] === keys[index + length]) {
+      length++;
+    }
+    return length;
+  };
+
+  let index = 0;
+  while (index < keys.length) {
+    const earlier = kept.get(keys[index]) || [];
+    let run = null;
+    if (precise && earlier.length > 0) {
+      run = { start: earlier[0], length: 1 };
+    } else if (!precise) {
+      for (const start of earlier) {
+        const length = repeatLength(start, index);
+        if (length >= MIN_REPEATED_RUN && (!run || length > run.length)
+          && new Set(keys.slice(index, index + length)).size > 1) {
+          run = { start, length };
+        }
+      }
+    }
+
+    if (run) {
+      for (let offset = 0; offset < run.length; offset++) {
+        duplicateOf.set(inFileOrder[index + offset], inFileOrder[run.start + offset].line);
+      }
+      index += run.length;
+    } else {
+      if (!kept.has(keys[index])) kept.set(keys[index], []);
+      kept.get(keys[index]).push(index);
+      index++;
+    }
+  }
+
+  const duplicates = [];
+  const unique = rows.filter(row => {
+    if (!duplicateOf.has(row)) return true;
+    duplicates.push({ line: row.line, duplicateOf: duplicateOf.get(row), value: `${row.date} ${row.time} ${row.sender || ''}`.trim() });
+    return false;
+  });
+  duplicates.sort((a, b) => a.line - b.line);
+
+  return { rows: unique, duplicates };
+};
@@ -0,0 +1,90 @@
+import { validateEntries, removeDuplicateRows } from './importValidation';
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 0, 15, 9, 30);
+
+const row = (line, sender, message, offset = 0) => ({
+  line,
+  sender,
+  message,
+  timestamp: START + offset,
+  date: '15/01/2024',
+  time: '09:30:00'
+});
+
+describe('validateEntries', () => {
+  it('rejects entries without a sender or text and keeps system lines', () => {
+    const { entries, rejected } = validateEntries([
+      { line: 1, dateStr: '15/01/2024', timeStr: '09:30', sender: 'Alice', message: 'Hi' },
+      { line: 2, dateStr: '15/01/2024', timeStr: '09:31', sender: '', message: 'Hi' },
+      { line: 3, dateStr: '15/01/2024', timeStr: '09:32', sender: 'Bob', message: '' },
+      { line: 4, dateStr: '15/01/2024', timeStr: '09:33', system: true, message: 'Alice added Bob' }
+    ]);
+    expect(entries.map(entry => entry.line)).toEqual([1, 4]);
+    expect(rejected).toEqual([
+      { line: 2, value: '15/01/2024 09:31', reason: 'Missing sender' },
+      { line: 3, value: '15/01/2024 09:32 Bob', reason: 'Empty message' }
+    ]);
+  });
+});
+
+describe('removeDuplicateRows', () => {
+  it('keeps repeated messages within one minute of a minute-precision export', () => {
+    const rows = [
+      row(1, 'Alice', '<Media omitted>'),
+      row(2, 'Alice', '<Media omitted>'),
+      row(3, 'Alice', '<Media omitted>'),
+      row(4, 'Bob', 'ok'),
+      row(5, 'Bob', 'ok')
+    ];
+    const { rows: unique, duplicates } = removeDuplicateRows(rows);
+    expect(unique).toHaveLength(5);
+    expect(duplicates).toEqual([]);
+  });
+
+  it('keeps long bursts of the same message', () => {
+    const rows = [1, 2, 3, 4, 5, 6].map(line => row(line, 'Alice', '<Media omitted>'));
+    expect(removeDuplicateRows(rows).rows).toHaveLength(6);
+  });
+
+  it('drops an export pasted twice', () => {
+    const copy = [
+      row(1, 'Alice', 'Hi', 0),
+      row(2, 'Bob', 'ok', MINUTE),
+      row(3, 'Bob', 'ok', MINUTE),
+      row(4, 'Alice', 'See you', 2 * MINUTE)
+    ];
+    const rows = [...copy, ...copy.map(original => ({ ...original, line: original.line + 4 }))]
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const { rows: unique, duplicates } = removeDuplicateRows(rows);
+    expect(unique.map(kept => kept.line)).toEqual([1, 2, 3, 4]);
+    expect(duplicates.map(({ line, duplicateOf }) => [line, duplicateOf])).toEqual([[5, 1], [6, 2], [7, 3], [8, 4]]);
+  });
+
+  it('drops the overlap of concatenated exports', () => {
+    const first = ['a', 'b', 'c', 'd'].map((text, index) => row(index + 1, 'Alice', text, index * MINUTE));
+    const second = ['b', 'c', 'd', 'e'].map((text, index) => row(index + 5, 'Alice', text, (index + 1) * MINUTE));
+
+    const { rows: unique, duplicates } = removeDuplicateRows([...first, ...second]);
+    expect(unique.map(kept => kept.message)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(duplicates.map(({ line, duplicateOf }) => [line, duplicateOf])).toEqual([[5, 2], [6, 3], [7, 4]]);
+  });
+
+  it('keeps overlaps too short to be certain', () => {
+    const first = ['a', 'b', 'c'].map((text, index) => row(index + 1, 'Alice', text, index * MINUTE));
+    const second = ['b', 'c', 'd'].map((text, index) => row(index + 4, 'Alice', text, (index + 1) * MINUTE));
+    expect(removeDuplicateRows([...first, ...second]).rows).toHaveLength(6);
+  });
+
+  it('drops exact repeats when the rows have seconds', () => {
+    const rows = [
+      row(1, 'Alice', 'ok', 12 * 1000),
+      row(2, 'Alice', 'ok', 12 * 1000),
+      row(3, 'Alice', 'ok', 45 * 1000)
+    ];
+    const { rows: unique, duplicates } = removeDuplicateRows(rows);
+    expect(unique.map(kept => kept.line)).toEqual([1, 3]);
+    expect(duplicates).toEqual([{ line: 2, duplicateOf: 1, value: '15/01/2024 09:30:00 Alice' }]);
+  });
+});
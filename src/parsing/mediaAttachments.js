@@ -0,0 +1,99 @@
+// Recognizes the attachment references WhatsApp writes into exported messages:
+//   iOS:     "<attached: 00000012-PHOTO-2020-01-01-12-00-00.jpg>"
+//   Android: "IMG-20200101-WA0001.jpg (file attached)"
+// and the placeholders used when the chat was exported without media:
+//   "<Media omitted>", "image omitted", "sticker omitted", ...
+
+// 'other' covers Android's "<Media omitted>", which does not say what the media was
+export const MEDIA_TYPES = ['image', 'video', 'audio', 'sticker', 'gif', 'document', 'other'];
+
+const IOS_ATTACHMENT = /<attached:\s*([^>]+)>/;
+const ANDROID_ATTACHMENT = /^(.+?\.[A-Za-z0-9]{2,5}) \(file attached\)/;
+const OMITTED_MEDIA = /^(?:<Media omitted>|(image|video|audio|sticker|GIF|document|Contact card) omitted)$/i;
+
+const EXTENSION_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  '3gp': 'video/3gpp',
+  opus: 'audio/ogg',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac',
+  wav: 'audio/wav',
+  pdf: 'application/pdf',
+  vcf: 'text/vcard',
+  txt: 'text/plain'
+};
+
+// WhatsApp saves animated GIFs as videos: "00000012-GIF-2020-01-01-12-00-00.mp4"
+// on iOS, "GIF-20200101-WA0001.mp4" on Android. Real .gif files are images.
+const isAnimatedGif = (upperName, extension) => (
+  upperName.includes('-GIF-') || (upperName.startsWith('GIF-') && extension === 'mp4')
+);
+
+const getExtension = (fileName) => {
+  const dotIndex = fileName.lastIndexOf('.');
+  return dotIndex === -1 ? '' : fileName.slice(dotIndex + 1).toLowerCase();
+};
+
+export const getMimeType = (fileName) =>
+  EXTENSION_MIME_TYPES[getExtension(fileName)] || 'application/octet-stream';
+
+// Classifies a media file by its WhatsApp naming scheme and extension
+export const getMediaType = (fileName) => {
+  const upperName = fileName.toUpperCase();
+  const extension = getExtension(fileName);
+
+  if (upperName.includes('STICKER') || extension === 'webp') return 'sticker';
+  if (isAnimatedGif(upperName, extension)) return 'gif';
+  if (upperName.startsWith('PTT-') || upperName.startsWith('AUD-') || upperName.includes('-AUDIO-')) return 'audio';
+
+  const mimeType = getMimeType(fileName);
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'document';
+};
+
+// Returns { fileName, type, caption } for messages carrying media, or null.
+// fileName is null when the export only contains a placeholder.
+export const extractAttachment = (message) => {
+  if (!message) return null;
+  const text = message.trim();
+
+  const omitted = text.match(OMITTED_MEDIA);
+  if (omitted) {
+    const label = omitted[1] ? omitted[1].toLowerCase() : 'other';
+    const type = label === 'contact card' ? 'document' : label;
+    return { fileName: null, type, caption: '' };
+  }
+
+  const iosMatch = text.match(IOS_ATTACHMENT);
+  if (iosMatch) {
+    const fileName = iosMatch[1].trim();
+    return {
+      fileName,
+      type: getMediaType(fileName),
+      caption: text.replace(iosMatch[0], '').trim()
+    };
+  }
+
+  const androidMatch = text.match(ANDROID_ATTACHMENT);
+  if (androidMatch) {
+    const fileName = androidMatch[1].trim();
+    return {
+      fileName,
+      type: getMediaType(fileName),
+      caption: text.slice(androidMatch[0].length).trim()
+    };
+  }
+
+  return null;
+};
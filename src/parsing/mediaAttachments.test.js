@@ -0,0 +1,28 @@
+import { getMediaType, extractAttachment } from './mediaAttachments';
+
+describe('getMediaType', () => {
+  it('treats WhatsApp animated GIFs as gif', () => {
+    expect(getMediaType('00000012-GIF-2020-01-01-12-00-00.mp4')).toBe('gif');
+    expect(getMediaType('GIF-20200101-WA0001.mp4')).toBe('gif');
+  });
+
+  it('treats .gif files as images', () => {
+    expect(getMediaType('funny.gif')).toBe('image');
+    expect(getMediaType('GIF-20200101-WA0001.gif')).toBe('image');
+  });
+
+  it('does not read GIF inside other names', () => {
+    expect(getMediaType('GIFT-list.pdf')).toBe('document');
+    expect(getMediaType('Gifford.jpg')).toBe('image');
+    expect(getMediaType('GIF-party.pdf')).toBe('document');
+  });
+});
+
+describe('extractAttachment', () => {
+  it('reads iOS and Android attachments with captions', () => {
+    expect(extractAttachment('<attached: 00000012-GIF-2020-01-01-12-00-00.mp4> lol'))
+      .toEqual({ fileName: '00000012-GIF-2020-01-01-12-00-00.mp4', type: 'gif', caption: 'lol' });
+    expect(extractAttachment('Gifford.jpg (file attached)'))
+      .toEqual({ fileName: 'Gifford.jpg', type: 'image', caption: '' });
+  });
+});
@@ -0,0 +1,150 @@
+// Merges a new export of a chat into the rows already saved for it.
+//
+// WhatsApp caps exports, so the same chat is often exported again later and
+// the files overlap. A message counts as already present when it was sent in
+// the same minute, by the same sender, with the same text. Seconds are
+// ignored because only some exports include them, and the text is compared
+// after normalizing formatting that differs between phones and app versions.
+//
+// Incoming messages that match nothing, but were sent in the same minute by
+// the same sender as an unmatched saved message, are conflicts: the saved
+// version is kept and both versions are reported.
+
+const MINUTE = 60 * 1000;
+const MAX_REPORTED_CONFLICTS = 50;
+
+// Direction marks and zero-width characters some exports add around names and numbers
+const INVISIBLE = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+const EDITED_SUFFIX = /\s*<this message was edited>$/;
+const PHONE_NUMBER = /^\+?[\d\s\-().]+$/;
+
+const normalizeText = (text) => (text || '')
+  .normalize('NFKC')
+  .replace(INVISIBLE, '')
+  .replace(/[\u2018\u2019]/g, "'")
+  .replace(/[\u201C\u201D]/g, '"')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase()
+  .replace(EDITED_SUFFIX, '');
+
+// "+1 (555) 123-4567" and "+15551234567" are the same sender
+const normalizeSender = (sender) => {
+  const name = normalizeText(sender);
+  return PHONE_NUMBER.test(name) ? name.replace(/[^\d+]/g, '') : name;
+};
+
+// Exports with and without media describe attachments differently
+// ("<attached: ...>" vs "image omitted"), so only the caption is compared
+const normalizeContent = (row) => (
+  row.attachment ? `media:${normalizeText(row.attachment.caption)}` : normalizeText(row.message)
+);
+
+const timestampOf = (row) => (row.timestamp !== undefined ? row.timestamp : row.datetime.getTime());
+
+const slotKey = (row) => `${Math.floor(timestampOf(row) / MINUTE)}\u0000${normalizeSender(row.sender)}`;
+
+const pushTo = (map, key, value) => {
+  const list = map.get(key);
+  if (list) {
+    list.push(value);
+  } else {
+    map.set(key, [value]);
+  }
+};
+
+// Compares incoming rows with the saved ones without changing either.
+// Returns the merged rows (chronological, with fresh ids) and a report:
+//   { existingCount, incomingCount, newCount, duplicateCount, conflictCount,
+//     newBefore, newAfter, newInOverlap, overlap: { start, end } | null,
+//     mediaRecovered, conflicts: [{ datetime, sender, saved, incoming }] }
+export const mergeChatRows = (existing, incoming) => {
+  // Unmatched saved rows, by minute + sender + text and by minute + sender
+  const exact = new Map();
+  const bySlot = new Map();
+  const matched = new Set();
+  existing.forEach((row, index) => {
+    const slot = slotKey(row);
+    pushTo(exact, `${slot}\u0000${normalizeContent(row)}`, index);
+    pushTo(bySlot, slot, index);
+  });
+
+  const takeFrom = (map, key) => {
+    const list = map.get(key);
+    if (!list) return -1;
+    while (list.length > 0) {
+      const index = list.shift();
+      if (!matched.has(index)) return index;
+    }
+    return -1;
+  };
+
+  // Saved rows that only had a media placeholder get the incoming file
+  const replacements = new Map();
+  const unmatched = [];
+  incoming.forEach(row => {
+    const slot = slotKey(row);
+    const index = takeFrom(exact, `${slot}\u0000${normalizeContent(row)}`);
+    if (index === -1) {
+      unmatched.push({ row, slot });
+      return;
+    }
+    matched.add(index);
+    const saved = existing[index];
+    if (saved.attachment && !saved.attachment.fileName && row.attachment && row.attachment.fileName) {
+      replacements.set(index, row.attachment);
+    }
+  });
+
+  const added = [];
+  const conflicts = [];
+  unmatched.forEach(({ row, slot }) => {
+    const index = takeFrom(bySlot, slot);
+    if (index === -1) {
+      added.push(row);
+      return;
+    }
+    matched.add(index);
+    conflicts.push({
+      datetime: existing[index].datetime,
+      sender: existing[index].sender,
+      saved: existing[index].message,
+      incoming: row.message
+    });
+  });
+
+  const existingStart = existing.length > 0 ? timestampOf(existing[0]) : null;
+  const existingEnd = existing.length > 0 ? timestampOf(existing[existing.length - 1]) : null;
+  const incomingStart = incoming.length > 0 ? timestampOf(incoming[0]) : null;
+  const incomingEnd = incoming.length > 0 ? timestampOf(incoming[incoming.length - 1]) : null;
+  const overlap = existingStart !== null && incomingStart !== null
+    && incomingStart <= existingEnd && existingStart <= incomingEnd
+    ? { start: new Date(Math.max(existingStart, incomingStart)), end: new Date(Math.min(existingEnd, incomingEnd)) }
+    : null;
+
+  const newBefore = added.filter(row => existingStart !== null && timestampOf(row) < existingStart).length;
+  const newAfter = added.filter(row => existingEnd !== null && timestampOf(row) > existingEnd).length;
+
+  const rows = existing
+    .map((row, index) => (replacements.has(index) ? { ...row, attachment: replacements.get(index) } : row))
+    .concat(added)
+    .sort((a, b) => timestampOf(a) - timestampOf(b))
+    .map((row, index) => ({ ...row, id: index }));
+
+  return {
+    rows,
+    report: {
+      existingCount: existing.length,
+      incomingCount: incoming.length,
+      newCount: added.length,
+      duplicateCount: incoming.length - unmatched.length,
+      conflictCount: conflicts.length,
+      newBefore,
+      newAfter,
+      newInOverlap: added.length - newBefore - newAfter,
+      overlap,
+      mediaRecovered: replacements.size,
+      conflicts: conflicts.slice(0, MAX_REPORTED_CONFLICTS)
+    }
+  };
+};
@@ -0,0 +1,80 @@
+import { mergeChatRows } from './mergeExports';
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 0, 15, 9, 30);
+
+const row = (minute, sender, message, extra = {}) => ({
+  sender,
+  message,
+  timestamp: START + minute * MINUTE,
+  datetime: new Date(START + minute * MINUTE),
+  ...extra
+});
+
+describe('mergeChatRows', () => {
+  it('adds the messages before and after the saved ones', () => {
+    const existing = [row(1, 'Alice', 'Hi'), row(2, 'Bob', 'Hello')];
+    const incoming = [row(0, 'Bob', 'Earlier'), row(1, 'Alice', 'Hi'), row(2, 'Bob', 'Hello'), row(3, 'Alice', 'Later')];
+
+    const { rows, report } = mergeChatRows(existing, incoming);
+    expect(rows.map(merged => merged.message)).toEqual(['Earlier', 'Hi', 'Hello', 'Later']);
+    expect(rows.map(merged => merged.id)).toEqual([0, 1, 2, 3]);
+    expect(report).toMatchObject({
+      newCount: 2, duplicateCount: 2, conflictCount: 0, newBefore: 1, newAfter: 1, newInOverlap: 0
+    });
+    expect(report.overlap).toEqual({ start: new Date(START + MINUTE), end: new Date(START + 2 * MINUTE) });
+  });
+
+  it('leaves the saved and incoming rows unchanged', () => {
+    const existing = [row(1, 'Alice', 'Hi', { id: 0 }), row(2, 'Bob', 'Hello', { id: 1 })];
+    const incoming = [row(0, 'Bob', 'Earlier', { id: 0 }), row(2, 'Bob', 'Hello', { id: 1 })];
+    const before = JSON.stringify([existing, incoming]);
+
+    const { rows } = mergeChatRows(existing, incoming);
+    expect(rows.map(merged => merged.id)).toEqual([0, 1, 2]);
+    expect(JSON.stringify([existing, incoming])).toBe(before);
+    rows.forEach(merged => {
+      expect(existing).not.toContain(merged);
+      expect(incoming).not.toContain(merged);
+    });
+  });
+
+  it('matches each saved message only once', () => {
+    const existing = [row(1, 'Alice', 'ok'), row(1, 'Alice', 'ok')];
+    const incoming = [row(1, 'Alice', 'ok'), row(1, 'Alice', 'ok'), row(1, 'Alice', 'ok')];
+
+    const { rows, report } = mergeChatRows(existing, incoming);
+    expect(rows).toHaveLength(3);
+    expect(report).toMatchObject({ newCount: 1, duplicateCount: 2, newInOverlap: 1 });
+  });
+
+  it('ignores seconds, formatting and phone number spacing', () => {
+    const existing = [row(1, '+1 (555) 123-4567', '\u201CSee you\u201D <this message was edited>')];
+    const incoming = [{ ...row(1, '+15551234567', '"see  you"'), timestamp: START + MINUTE + 42 * 1000 }];
+    expect(mergeChatRows(existing, incoming).report).toMatchObject({ newCount: 0, duplicateCount: 1 });
+  });
+
+  it('reports a different text in the same minute as a conflict and keeps the saved one', () => {
+    const existing = [row(1, 'Alice', 'Meet at 5'), row(1, 'Bob', 'ok')];
+    const incoming = [row(1, 'Alice', 'Meet at 6'), row(1, 'Bob', 'ok'), row(1, 'Bob', 'sure')];
+
+    const { rows, report } = mergeChatRows(existing, incoming);
+    expect(rows.map(merged => merged.message)).toEqual(['Meet at 5', 'ok', 'sure']);
+    expect(report).toMatchObject({ newCount: 1, duplicateCount: 1, conflictCount: 1 });
+    expect(report.conflicts).toEqual([
+      { datetime: new Date(START + MINUTE), sender: 'Alice', saved: 'Meet at 5', incoming: 'Meet at 6' }
+    ]);
+  });
+
+  it('fills in media files missing from the saved export', () => {
+    const existing = [row(1, 'Alice', 'image omitted', { attachment: { type: 'image', caption: '' } })];
+    const attachment = { type: 'image', caption: '', fileName: 'IMG-0001.jpg' };
+    const incoming = [row(1, 'Alice', '<attached: IMG-0001.jpg>', { attachment })];
+
+    const { rows, report } = mergeChatRows(existing, incoming);
+    expect(rows).toHaveLength(1);
+    expect(rows[0].attachment).toBe(attachment);
+    expect(rows[0].message).toBe('image omitted');
+    expect(report).toMatchObject({ newCount: 0, duplicateCount: 1, mediaRecovered: 1 });
+  });
+});
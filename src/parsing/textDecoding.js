@@ -0,0 +1,41 @@
+// Decodes an exported file into text and reports the encoding that was used.
+//
+// WhatsApp writes UTF-8, but files that went through spreadsheet programs
+// are often UTF-16 (with a byte order mark) or a legacy single-byte code
+// page. Without a byte order mark, UTF-8 is tried strictly and Windows-1252
+// is used when the bytes are not valid UTF-8.
+
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+const ENCODING_NAMES = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16 (little endian)',
+  'utf-16be': 'UTF-16 (big endian)',
+  'windows-1252': 'Windows-1252'
+};
+
+export const describeEncoding = (encoding) => ENCODING_NAMES[encoding] || encoding;
+
+// Returns { text, encoding, byteOrderMark }
+export const decodeText = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const mark = BYTE_ORDER_MARKS.find(({ bytes: markBytes }) => markBytes.every((byte, i) => bytes[i] === byte));
+
+  if (mark) {
+    return {
+      text: new TextDecoder(mark.encoding).decode(bytes.subarray(mark.bytes.length)),
+      encoding: mark.encoding,
+      byteOrderMark: true
+    };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8', byteOrderMark: false };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252', byteOrderMark: false };
+  }
+};
@@ -0,0 +1,132 @@
+// Time zone conversions for chat timestamps.
+//
+// An export only contains wall-clock times in the time zone of the phone that
+// made it (the source zone). Rows keep the real instant as `timestamp`, and
+// their `datetime`, `date`, `time`, `hour` and `weekday` describe that instant
+// in the zone the chat is viewed in (the display zone).
+//
+// Around daylight saving changes a wall-clock time can be missing (the clock
+// jumps forward, a "gap") or happen twice (the clock goes back, an
+// "overlap"). zonedTimeToUtc reports both instead of silently picking one.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// Offsets only change on whole quarter hours (UTC), so they are looked up per
+// 15 minute slot, and only on days where the offset changes at all
+const OFFSET_SLOT = 15 * MINUTE;
+
+export const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Every zone the browser knows, with a short list for older browsers
+export const listTimeZones = () => (
+  typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : ['UTC', 'Europe/London', 'Europe/Berlin', 'Asia/Jerusalem', 'Asia/Kolkata', 'Asia/Tokyo',
+      'Australia/Sydney', 'America/New_York', 'America/Chicago', 'America/Denver',
+      'America/Los_Angeles', 'America/Sao_Paulo']
+);
+
+const formatters = {};
+const offsetCaches = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+  return formatters[timeZone];
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const computeOffset = (instant, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return wall - instant;
+};
+
+// Milliseconds to add to a UTC instant to get the wall-clock time in the zone
+const offsetAt = (timestamp, timeZone) => {
+  const cache = offsetCaches[timeZone] || (offsetCaches[timeZone] = { days: new Map(), slots: new Map() });
+
+  const day = Math.floor(timestamp / DAY);
+  if (!cache.days.has(day)) {
+    const start = computeOffset(day * DAY, timeZone);
+    const end = computeOffset((day + 1) * DAY - OFFSET_SLOT, timeZone);
+    // null marks a day with a daylight saving change
+    cache.days.set(day, start === end ? start : null);
+  }
+  const dayOffset = cache.days.get(day);
+  if (dayOffset !== null) return dayOffset;
+
+  const slot = Math.floor(timestamp / OFFSET_SLOT);
+  if (!cache.slots.has(slot)) {
+    cache.slots.set(slot, computeOffset(slot * OFFSET_SLOT, timeZone));
+  }
+  return cache.slots.get(slot);
+};
+
+// Wall-clock fields ({ year, month (1-12), day, hours, minutes, seconds,
+// weekday (0 = Sunday) }) of an instant in a time zone
+export const getZonedParts = (timestamp, timeZone) => {
+  const wall = new Date(timestamp + offsetAt(timestamp, timeZone));
+  return {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth() + 1,
+    day: wall.getUTCDate(),
+    hours: wall.getUTCHours(),
+    minutes: wall.getUTCMinutes(),
+    seconds: wall.getUTCSeconds(),
+    weekday: wall.getUTCDay()
+  };
+};
+
+// Finds the instant(s) at which a zone's clocks showed a wall-clock time.
+// Returns { earlier, later, adjustment } where adjustment is
+//   null       the time exists once (earlier === later)
+//   'overlap'  the clock went back and showed this time twice
+//   'gap'      the clock jumped over this time; it is read with the offset
+//              from before the jump, i.e. moved forward by the size of the gap
+export const zonedTimeToUtc = ({ year, month, day, hours, minutes, seconds }, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const offsetBefore = offsetAt(wall - DAY, timeZone);
+  const offsetAfter = offsetAt(wall + DAY, timeZone);
+
+  if (offsetBefore === offsetAfter) {
+    const instant = wall - offsetBefore;
+    return { earlier: instant, later: instant, adjustment: null };
+  }
+
+  const candidates = [wall - offsetBefore, wall - offsetAfter]
+    .filter((instant, index, all) => all.indexOf(instant) === index)
+    .filter(instant => instant + offsetAt(instant, timeZone) === wall)
+    .sort((a, b) => a - b);
+
+  if (candidates.length === 0) {
+    const instant = wall - offsetBefore;
+    return { earlier: instant, later: instant, adjustment: 'gap' };
+  }
+  return {
+    earlier: candidates[0],
+    later: candidates[candidates.length - 1],
+    adjustment: candidates.length > 1 ? 'overlap' : null
+  };
+};
@@ -0,0 +1,75 @@
+import { zonedTimeToUtc, getZonedParts } from './timeZones';
+import { applyDateFormat } from './dateFormat';
+
+const BERLIN = 'Europe/Berlin';
+const NEW_YORK = 'America/New_York';
+
+const wall = (year, month, day, hours, minutes = 0) => ({ year, month, day, hours, minutes, seconds: 0 });
+
+describe('zonedTimeToUtc', () => {
+  it('converts times away from daylight saving changes', () => {
+    expect(zonedTimeToUtc(wall(2024, 1, 15, 9, 30), BERLIN))
+      .toEqual({ earlier: Date.UTC(2024, 0, 15, 8, 30), later: Date.UTC(2024, 0, 15, 8, 30), adjustment: null });
+    expect(zonedTimeToUtc(wall(2024, 7, 4, 12), NEW_YORK).earlier).toBe(Date.UTC(2024, 6, 4, 16));
+  });
+
+  it('moves times in a spring gap forward', () => {
+    // Berlin jumped from 02:00 to 03:00 on 31 March 2024
+    const { earlier, later, adjustment } = zonedTimeToUtc(wall(2024, 3, 31, 2, 30), BERLIN);
+    expect(adjustment).toBe('gap');
+    expect(earlier).toBe(later);
+    expect(getZonedParts(earlier, BERLIN)).toMatchObject({ hours: 3, minutes: 30 });
+  });
+
+  it('returns both instants of a time repeated in the fall', () => {
+    // Berlin went back from 03:00 to 02:00 on 27 October 2024
+    expect(zonedTimeToUtc(wall(2024, 10, 27, 2, 30), BERLIN)).toEqual({
+      earlier: Date.UTC(2024, 9, 27, 0, 30),
+      later: Date.UTC(2024, 9, 27, 1, 30),
+      adjustment: 'overlap'
+    });
+    expect(zonedTimeToUtc(wall(2024, 11, 3, 1, 30), NEW_YORK).adjustment).toBe('overlap');
+  });
+
+  it('keeps the times next to a change exact', () => {
+    expect(zonedTimeToUtc(wall(2024, 3, 31, 1, 59), BERLIN))
+      .toMatchObject({ earlier: Date.UTC(2024, 2, 31, 0, 59), adjustment: null });
+    expect(zonedTimeToUtc(wall(2024, 3, 31, 3, 0), BERLIN))
+      .toMatchObject({ earlier: Date.UTC(2024, 2, 31, 1, 0), adjustment: null });
+  });
+});
+
+describe('applyDateFormat across daylight saving changes', () => {
+  const format = { order: 'DMY', separator: '/', yearDigits: 4, hour12: false, seconds: false };
+  const zones = { source: BERLIN, display: BERLIN };
+  const entries = (times) => times.map(([dateStr, timeStr], index) => ({
+    line: index + 1, dateStr, timeStr, sender: 'Alice', message: 'Hi'
+  }));
+
+  it('reports gap times and shows them after the jump', () => {
+    const { rows, dstAdjustments } = applyDateFormat(entries([
+      ['31/03/2024', '01:50'],
+      ['31/03/2024', '02:10'],
+      ['31/03/2024', '03:20']
+    ]), format, undefined, zones);
+    expect(rows.map(row => row.time)).toEqual(['01:50:00', '03:10:00', '03:20:00']);
+    expect(dstAdjustments).toEqual([{ line: 2, value: '31/03/2024 02:10', adjustment: 'gap' }]);
+  });
+
+  it('reads repeated times in the order that keeps the chat chronological', () => {
+    const { rows, dstAdjustments } = applyDateFormat(entries([
+      ['27/10/2024', '02:20'],
+      ['27/10/2024', '02:50'],
+      ['27/10/2024', '02:10'],
+      ['27/10/2024', '02:40']
+    ]), format, undefined, zones);
+    expect(rows.map(row => row.line)).toEqual([1, 2, 3, 4]);
+    expect(rows.map(row => row.timestamp)).toEqual([
+      Date.UTC(2024, 9, 27, 0, 20),
+      Date.UTC(2024, 9, 27, 0, 50),
+      Date.UTC(2024, 9, 27, 1, 10),
+      Date.UTC(2024, 9, 27, 1, 40)
+    ]);
+    expect(dstAdjustments.map(({ adjustment }) => adjustment)).toEqual(['overlap', 'overlap', 'overlap', 'overlap']);
+  });
+});
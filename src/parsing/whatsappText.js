@@ -0,0 +1,110 @@
+import { isDeletedMessage } from './deletedMessages';
+
+// Parser for the native "Export chat" .txt files produced by WhatsApp on
+// Android and iOS. Produces raw entries ({ line, dateStr, timeStr, sender,
+// message, system }); the date strings are interpreted afterwards by
+// applyDateFormat once the format of the whole file is known.
+
+// Invisible direction marks and BOMs that WhatsApp sprinkles through exports
+const INVISIBLE_CHARS = /[\u200e\u200f\u202a-\u202e\ufeff]/g;
+
+const DATE = '(\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4})';
+const TIME = '(\\d{1,2}[:.]\\d{2}(?:[:.]\\d{2})?(?:[\\s\\u00a0\\u202f]?[AaPp]\\.?\\s?[Mm]\\.?)?)';
+
+// iOS: "[31/12/2020, 23:59:59] Name: message"
+const IOS_LINE = new RegExp(`^\\[${DATE},?\\s+${TIME}\\]\\s?(.*)$`);
+// Android: "31/12/2020, 23:59 - Name: message"
+const ANDROID_LINE = new RegExp(`^${DATE},?\\s+${TIME}\\s+-\\s(.*)$`);
+
+// System lines that may contain ": " and must not be split into sender/message
+const SYSTEM_WITH_COLON = [
+  /changed the subject (from .+ )?to /,
+  /changed the group description/,
+  /changed (this group's|the group) settings/
+];
+
+// System notices WhatsApp attributes to the chat itself (iOS puts the chat name as sender)
+const SYSTEM_MESSAGES = [
+  /^Messages (and calls )?are end-to-end encrypted/,
+  /^Messages to this (group|chat) are now secured with end-to-end encryption/,
+  /^.+ created (the )?group /,
+  /^You created (the )?group/,
+  /^Missed (voice|video) call$/,
+  /^This chat is with a business account/
+];
+
+// iOS marks system notices with a left-to-right mark right after "Name: ",
+// but also uses it for attachments and deleted messages, which are real messages
+const IOS_SYSTEM_MARK = /^\[[^\]]+\][^:]+:\s\u200e/;
+const IOS_MEDIA = /^<attached: |omitted$/;
+
+// How often (in lines) progress is reported
+const PROGRESS_INTERVAL = 5000;
+
+const isSystemMessage = (text) => SYSTEM_MESSAGES.some(pattern => pattern.test(text));
+
+// Splits the part after the timestamp into sender and message.
+// Returns null for system lines that have no sender.
+const splitSenderAndMessage = (rest) => {
+  if (SYSTEM_WITH_COLON.some(pattern => pattern.test(rest))) return null;
+
+  const separatorIndex = rest.indexOf(': ');
+  if (separatorIndex <= 0) return null;
+
+  return {
+    sender: rest.slice(0, separatorIndex).trim(),
+    message: rest.slice(separatorIndex + 2)
+  };
+};
+
+// Which phone wrote the export, from its first message lines: 'iOS',
+// 'Android' or null when no line looks like a message
+export const detectPlatform = (text) => {
+  const lines = text.slice(0, 64 * 1024).split(/\r?\n/).map(line => line.replace(INVISIBLE_CHARS, ''));
+  const ios = lines.filter(line => IOS_LINE.test(line)).length;
+  const android = lines.filter(line => ANDROID_LINE.test(line)).length;
+  if (ios === 0 && android === 0) return null;
+  return ios >= android ? 'iOS' : 'Android';
+};
+
+// onProgress is called with a fraction between 0 and 1 while lines are read
+export const parseWhatsAppText = (text, onProgress = () => {}) => {
+  const lines = text.split(/\r?\n/);
+  const entries = [];
+  let current = null;
+
+  lines.forEach((rawLine, index) => {
+    if (index % PROGRESS_INTERVAL === 0) {
+      onProgress(index / lines.length);
+    }
+
+    const line = rawLine.replace(INVISIBLE_CHARS, '');
+    const match = line.match(IOS_LINE) || line.match(ANDROID_LINE);
+
+    if (!match) {
+      // Continuation of a multi-line message
+      if (current) {
+        current.message += `\n${line}`;
+      }
+      return;
+    }
+
+    const [, dateStr, timeStr, rest] = match;
+    const parts = splitSenderAndMessage(rest);
+    const markedSystem = parts && IOS_SYSTEM_MARK.test(rawLine.replace(/^\u200e/, ''))
+      && !IOS_MEDIA.test(parts.message) && !isDeletedMessage(parts.message);
+
+    current = {
+      line: index + 1,
+      dateStr,
+      timeStr,
+      sender: parts ? parts.sender : null,
+      message: parts ? parts.message : rest,
+      system: !parts || markedSystem || isSystemMessage(parts.message)
+    };
+    entries.push(current);
+  });
+
+  onProgress(1);
+  return entries;
+};
@@ -0,0 +1,68 @@
+import { parseWhatsAppText, detectPlatform } from './whatsappText';
+
+const ANDROID = [
+  '15/01/2024, 09:30 - Messages and calls are end-to-end encrypted. No one outside of this chat can read them.',
+  '15/01/2024, 09:31 - Alice: Good morning',
+  '15/01/2024, 09:32 - Bob: Two lines:',
+  'the second line',
+  '15/01/2024, 09:33 - Bob changed the subject from "Old" to "New: plans"',
+  '1/2/24, 9:34 PM - Alice: Time: 21:34'
+].join('\n');
+
+const IOS = [
+  '[15/01/2024, 09:30:12] Family: \u200eMessages and calls are end-to-end encrypted.',
+  '\u200e[15/01/2024, 09:31:40] Alice: Hello there',
+  '[15/01/2024, 09:32:05] Bob: \u200e<attached: 00000012-PHOTO-2024-01-15-09-32-05.jpg>',
+  '[15/01/2024, 09:33:00] Bob: \u200eimage omitted',
+  '[15/01/2024, 09:34:00] Alice: \u200eAlice added Carol',
+  '[1/15/24, 9:35:10\u202fPM] Carol: Hi all'
+].join('\r\n');
+
+const summary = (entries) => entries.map(({ line, dateStr, timeStr, sender, message, system }) => (
+  [line, dateStr, timeStr, sender, message, system]
+));
+
+describe('parseWhatsAppText', () => {
+  it('reads Android lines, continuation lines and system lines', () => {
+    expect(summary(parseWhatsAppText(ANDROID))).toEqual([
+      [1, '15/01/2024', '09:30', null, 'Messages and calls are end-to-end encrypted. No one outside of this chat can read them.', true],
+      [2, '15/01/2024', '09:31', 'Alice', 'Good morning', false],
+      [3, '15/01/2024', '09:32', 'Bob', 'Two lines:\nthe second line', false],
+      [5, '15/01/2024', '09:33', null, 'Bob changed the subject from "Old" to "New: plans"', true],
+      [6, '1/2/24', '9:34 PM', 'Alice', 'Time: 21:34', false]
+    ]);
+  });
+
+  it('reads iOS lines and their system marks, keeping attachments as messages', () => {
+    expect(summary(parseWhatsAppText(IOS))).toEqual([
+      [1, '15/01/2024', '09:30:12', 'Family', 'Messages and calls are end-to-end encrypted.', true],
+      [2, '15/01/2024', '09:31:40', 'Alice', 'Hello there', false],
+      [3, '15/01/2024', '09:32:05', 'Bob', '<attached: 00000012-PHOTO-2024-01-15-09-32-05.jpg>', false],
+      [4, '15/01/2024', '09:33:00', 'Bob', 'image omitted', false],
+      [5, '15/01/2024', '09:34:00', 'Alice', 'Alice added Carol', true],
+      [6, '1/15/24', '9:35:10\u202fPM', 'Carol', 'Hi all', false]
+    ]);
+  });
+
+  it('keeps deleted iOS messages, which carry the system mark', () => {
+    const entries = parseWhatsAppText([
+      '[15/01/2024, 09:30:12] Alice: \u200eThis message was deleted.',
+      '[15/01/2024, 09:31:40] You: \u200eYou deleted this message.',
+      '[15/01/2024, 09:32:05] Alice: \u200eAlice changed their phone number to a new number.'
+    ].join('\n'));
+
+    expect(entries.map(({ sender, message, system }) => [sender, message, system])).toEqual([
+      ['Alice', 'This message was deleted.', false],
+      ['You', 'You deleted this message.', false],
+      ['Alice', 'Alice changed their phone number to a new number.', true]
+    ]);
+  });
+});
+
+describe('detectPlatform', () => {
+  it('tells iOS and Android exports apart', () => {
+    expect(detectPlatform(ANDROID)).toBe('Android');
+    expect(detectPlatform(IOS)).toBe('iOS');
+    expect(detectPlatform('just some text')).toBeNull();
+  });
+});
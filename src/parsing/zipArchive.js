@@ -0,0 +1,45 @@
+import JSZip from 'jszip';
+import { getMediaType, getMimeType } from './mediaAttachments';
+import { decodeText } from './textDecoding';
+
+const baseName = (path) => path.split('/').pop();
+
+// Unpacks an "Export chat → Include media" archive in the browser.
+// Returns the chat text, its encoding and a map of media file name → { url, blob, type, mimeType }.
+// The URLs are object URLs; release them with revokeMedia when the chat is closed.
+export const readWhatsAppZip = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+  // iOS names the transcript _chat.txt, Android "WhatsApp Chat with X.txt"
+  const chatEntry = entries.find(entry => baseName(entry.name) === '_chat.txt')
+    || entries.find(entry => entry.name.toLowerCase().endsWith('.txt'));
+
+  if (!chatEntry) {
+    throw new Error('The archive does not contain a WhatsApp chat .txt file.');
+  }
+
+  const { text, encoding } = decodeText(await chatEntry.async('uint8array'));
+  const media = {};
+
+  await Promise.all(entries
+    .filter(entry => entry !== chatEntry)
+    .map(async entry => {
+      const fileName = baseName(entry.name);
+      const mimeType = getMimeType(fileName);
+      const blob = new Blob([await entry.async('blob')], { type: mimeType });
+
+      media[fileName] = {
+        url: URL.createObjectURL(blob),
+        blob,
+        type: getMediaType(fileName),
+        mimeType
+      };
+    }));
+
+  return { text, encoding, media };
+};
+
+export const revokeMedia = (media) => {
+  Object.values(media).forEach(item => URL.revokeObjectURL(item.url));
+};
@@ -0,0 +1,187 @@
+import { MEDIA_TYPES } from '../parsing/mediaAttachments';
+import { WEEKDAYS } from '../parsing/dateFormat';
+
+// Search syntax for the chat view:
+//   word            message contains the word (all words must match)
+//   "exact phrase"  message contains the phrase
+//   /regex/i        message matches the regular expression
+//   from:name       sender contains name (quote names with spaces: from:"Jane Doe")
+//   from:="Jane"    sender is exactly the name; \" and \\ escape quotes and backslashes
+//   after:2024-01-31, before:2024-02-01   date bounds (inclusive, YYYY-MM-DD)
+//   has:media       message has any attachment (or has:image, has:audio, ...)
+//   day:fri         sent on a day of the week (day:friday works too)
+//   hour:21         sent during an hour of the day, or a range of hours (hour:9-17)
+
+export const QUERY_HELP = 'Try: from:"Jane" after:2024-01-01 before:2024-03-01 has:media day:fri hour:20-23 "exact phrase" /regex/i';
+
+const TOKEN_PATTERN = /(\w+):(=?(?:"(?:[^"\\]|\\.)*"|\S+))|"([^"]*)"|\/((?:\\\/|[^/])+)\/([gimsuy]*)|(\S+)/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const unquote = (value) => value.replace(/^"((?:[^"\\]|\\.)*)"$/, (match, inner) => inner.replace(/\\(.)/g, '$1'));
+
+// The search for messages from exactly this sender, whatever characters the
+// name contains
+export const senderQuery = (name) => `from:="${name.replace(/["\\]/g, '\\$&')}"`;
+
+const parseDay = (value, endOfDay) => {
+  const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999)
+    : new Date(year, month - 1, day);
+};
+
+const parseWeekday = (value) => {
+  const name = value.toLowerCase();
+  if (name.length < 2) return -1;
+  return WEEKDAYS.findIndex(day => day.toLowerCase().startsWith(name));
+};
+
+// "21" or "9-17"; ranges may wrap around midnight ("22-2")
+const parseHours = (value) => {
+  const match = value.match(/^(\d{1,2})(?:-(\d{1,2}))?$/);
+  if (!match) return null;
+  const start = Number(match[1]);
+  const end = match[2] !== undefined ? Number(match[2]) : start;
+  if (start > 23 || end > 23) return null;
+
+  const hours = [];
+  for (let hour = start; hour !== (end + 1) % 24; hour = (hour + 1) % 24) {
+    hours.push(hour);
+  }
+  return hours;
+};
+
+// Parses the search box into { patterns, from, after, before, has, days, hours, errors }.
+// patterns are global regular expressions used both to match and to highlight.
+export const parseQuery = (input) => {
+  const query = { patterns: [], from: [], after: null, before: null, has: null, days: [], hours: [], errors: [] };
+  if (!input || !input.trim()) return query;
+
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(input)) !== null) {
+    const [, operator, operand, phrase, regexSource, regexFlags, word] = match;
+
+    if (operator) {
+      const key = operator.toLowerCase();
+      const value = unquote(operand);
+
+      if (key === 'from') {
+        const exact = operand.startsWith('=');
+        query.from.push({ name: (exact ? unquote(operand.slice(1)) : value).toLowerCase(), exact });
+      } else if (key === 'after' || key === 'before') {
+        // Repeated bounds narrow the range, e.g. a day within filtered dates
+        const date = parseDay(value, key === 'before');
+        const narrower = (current) => (key === 'after' ? date > current : date < current);
+        if (date) query[key] = !query[key] || narrower(query[key]) ? date : query[key];
+        else query.errors.push(`"${value}" is not a date (use YYYY-MM-DD)`);
+      } else if (key === 'has') {
+        const type = value.toLowerCase();
+        if (type === 'media' || MEDIA_TYPES.includes(type)) query.has = type;
+        else query.errors.push(`Unknown has: value "${value}"`);
+      } else if (key === 'day') {
+        const day = parseWeekday(value);
+        if (day >= 0) query.days.push(day);
+        else query.errors.push(`"${value}" is not a day of the week`);
+      } else if (key === 'hour') {
+        const hours = parseHours(value);
+        if (hours) query.hours.push(...hours);
+        else query.errors.push(`"${value}" is not an hour (use 0-23 or a range like 9-17)`);
+      } else {
+        // Not an operator we know (e.g. a time like 10:30); search it as text
+        query.patterns.push(new RegExp(escapeRegExp(match[0]), 'gi'));
+      }
+    } else if (phrase !== undefined) {
+      if (phrase) query.patterns.push(new RegExp(escapeRegExp(phrase), 'gi'));
+    } else if (regexSource !== undefined) {
+      try {
+        const flags = regexFlags.includes('g') ? regexFlags : `${regexFlags}g`;
+        query.patterns.push(new RegExp(regexSource, flags));
+      } catch (error) {
+        query.errors.push(`Invalid regex: ${error.message}`);
+      }
+    } else if (word) {
+      query.patterns.push(new RegExp(escapeRegExp(word), 'gi'));
+    }
+  }
+
+  return query;
+};
+
+export const isEmptyQuery = (query) => (
+  query.patterns.length === 0 && query.from.length === 0 && !query.after && !query.before && !query.has
+  && query.days.length === 0 && query.hours.length === 0
+);
+
+const testPattern = (pattern, text) => {
+  pattern.lastIndex = 0;
+  return pattern.test(text);
+};
+
+// The text a chat bubble shows: the caption of media messages, whose message
+// also holds the attachment reference. Search and highlighting both use it.
+export const messageText = (msg) => (msg.attachment ? msg.attachment.caption : msg.message) || '';
+
+// True when the message satisfies every part of the query
+export const matchesQuery = (msg, query) => {
+  if (query.from.length > 0) {
+    const sender = (msg.sender || '').toLowerCase();
+    if (!query.from.some(({ name, exact }) => (exact ? sender === name : sender.includes(name)))) return false;
+  }
+  if (query.after && msg.datetime < query.after) return false;
+  if (query.before && msg.datetime > query.before) return false;
+  // The hour and weekday columns, like the statistics and heatmaps; datetime's
+  // local fields can be off by an hour around the browser's own DST changes
+  if (query.days.length > 0 && !query.days.includes(WEEKDAYS.indexOf(msg.weekday))) return false;
+  if (query.hours.length > 0 && !query.hours.includes(parseInt(msg.hour, 10))) return false;
+  if (query.has) {
+    if (!msg.attachment) return false;
+    if (query.has !== 'media' && msg.attachment.type !== query.has) return false;
+  }
+
+  const text = messageText(msg);
+  return query.patterns.every(pattern => testPattern(pattern, text));
+};
+
+// Splits text into [{ text, highlighted }] segments for the query's patterns
+export const highlightSegments = (text, query) => {
+  if (!text || query.patterns.length === 0) return [{ text, highlighted: false }];
+
+  const ranges = [];
+  query.patterns.forEach(pattern => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  });
+
+  if (ranges.length === 0) return [{ text, highlighted: false }];
+
+  // Merge overlapping ranges
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  ranges.slice(1).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+
+  const segments = [];
+  let position = 0;
+  merged.forEach(([start, end]) => {
+    if (start > position) segments.push({ text: text.slice(position, start), highlighted: false });
+    segments.push({ text: text.slice(start, end), highlighted: true });
+    position = end;
+  });
+  if (position < text.length) segments.push({ text: text.slice(position), highlighted: false });
+
+  return segments;
+};
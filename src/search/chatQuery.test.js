@@ -0,0 +1,65 @@
+import { parseQuery, matchesQuery, senderQuery } from './chatQuery';
+import { filterQuery } from '../analytics/statsFilters';
+import { WEEKDAYS } from '../parsing/dateFormat';
+
+const message = (sender, datetime = new Date(2024, 0, 15, 9, 30)) => ({
+  sender, message: 'Hi', datetime, hour: String(datetime.getHours()), weekday: WEEKDAYS[datetime.getDay()]
+});
+
+describe('from:', () => {
+  it('matches part of the sender, or the exact sender with from:=', () => {
+    const partial = parseQuery('from:Ann');
+    const exact = parseQuery(senderQuery('Ann'));
+    expect(matchesQuery(message('Anna'), partial)).toBe(true);
+    expect(matchesQuery(message('Anna'), exact)).toBe(false);
+    expect(matchesQuery(message('ann'), exact)).toBe(true);
+  });
+
+  it('quotes names with spaces, quotes, colons and backslashes', () => {
+    ['Jane Doe', 'Dr. "Bob"', 'Team: Ops', 'back\\slash'].forEach(name => {
+      const query = parseQuery(`${senderQuery(name)} day:mon`);
+      expect(query.from).toEqual([{ name: name.toLowerCase(), exact: true }]);
+      expect(query.days).toEqual([1]);
+      expect(query.patterns).toEqual([]);
+    });
+  });
+});
+
+describe('filterQuery', () => {
+  it('keeps a clicked day within the filtered dates and senders', () => {
+    const filters = {
+      preset: 'custom',
+      from: new Date(2024, 0, 10),
+      to: new Date(2024, 0, 20, 23, 59, 59, 999),
+      senders: ['Ann']
+    };
+    const query = parseQuery(`${filterQuery(filters)} after:2024-01-01 before:2024-01-15`);
+
+    expect(query.after).toEqual(new Date(2024, 0, 10));
+    expect(query.before).toEqual(new Date(2024, 0, 15, 23, 59, 59, 999));
+    expect(matchesQuery(message('Ann'), query)).toBe(true);
+    expect(matchesQuery(message('Anna'), query)).toBe(false);
+    expect(matchesQuery(message('Ann', new Date(2024, 0, 9, 12)), query)).toBe(false);
+  });
+});
+
+describe('day: and hour:', () => {
+  it('use the hour and weekday columns rather than the local Date', () => {
+    // 02:30 on a Sunday in the display zone, which the browser's zone may not have
+    const row = { ...message('Ann'), datetime: new Date(2024, 2, 31, 3, 30), hour: '2', weekday: 'Sunday' };
+    expect(matchesQuery(row, parseQuery('day:sun hour:2'))).toBe(true);
+    expect(matchesQuery(row, parseQuery('hour:3'))).toBe(false);
+  });
+});
+
+describe('text search', () => {
+  it('searches the caption of media messages, as shown in the bubble', () => {
+    const photo = {
+      ...message('Ann'),
+      message: '<attached: 00000012-PHOTO-2024-01-15-09-30-00.jpg> beach day',
+      attachment: { fileName: '00000012-PHOTO-2024-01-15-09-30-00.jpg', type: 'image', caption: 'beach day' }
+    };
+    expect(matchesQuery(photo, parseQuery('beach'))).toBe(true);
+    expect(matchesQuery(photo, parseQuery('PHOTO'))).toBe(false);
+  });
+});
@@ -0,0 +1,189 @@
+// Local chat library backed by IndexedDB. Everything stays in the browser.
+//
+// Two object stores keep listing the library cheap:
+//   chats    - one small summary per imported chat (name, counts, date range)
+//   chatData - the parsed rows, computed stats and media blobs of each chat
+
+const DB_NAME = 'whatsapp-analyzer';
+const DB_VERSION = 1;
+const SUMMARY_STORE = 'chats';
+const DATA_STORE = 'chatData';
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const promisifyTransaction = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+        db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(DATA_STORE)) {
+        db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+      }
+    };
+    dbPromise = promisifyRequest(request);
+  }
+  return dbPromise;
+};
+
+export const isStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Builds the library entry shown in the list
+const summarize = (id, name, rows, importedAt) => ({
+  id,
+  name,
+  importedAt,
+  participantCount: new Set(rows.map(row => row.sender)).size,
+  messageCount: rows.length,
+  startDate: rows.length > 0 ? rows[0].datetime : null,
+  endDate: rows.length > 0 ? rows[rows.length - 1].datetime : null
+});
+
+// Object URLs do not survive a reload, so only the blobs are stored
+const serializeMedia = (media) => Object.fromEntries(
+  Object.entries(media).map(([fileName, { blob, type, mimeType }]) => [fileName, { blob, type, mimeType }])
+);
+
+const deserializeMedia = (media) => Object.fromEntries(
+  Object.entries(media || {}).map(([fileName, item]) => [fileName, { ...item, url: URL.createObjectURL(item.blob) }])
+);
+
+// Returns the summaries of every saved chat, most recent first
+export const listChats = async () => {
+  const db = await openDatabase();
+  const chats = await promisifyRequest(db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE).getAll());
+  return chats.sort((a, b) => b.importedAt - a.importedAt);
+};
+
+// Saves a new chat and returns its summary. events are its group events
+// (joins, leaves, subject changes), which are not part of the rows.
+export const saveChat = async ({
+  name, rows, stats, events = [], media = {}, participantSettings = null, timeSettings = null
+}) => {
+  const db = await openDatabase();
+  const summary = summarize(createId(), name, rows, new Date());
+
+  const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+  transaction.objectStore(SUMMARY_STORE).put(summary);
+  transaction.objectStore(DATA_STORE).put({
+    id: summary.id,
+    rows,
+    stats,
+    events,
+    media: serializeMedia(media),
+    participantSettings,
+    timeSettings
+  });
+  await promisifyTransaction(transaction);
+
+  return summary;
+};
+
+// Loads a saved chat. Media comes back with fresh object URLs.
+export const loadChat = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SUMMARY_STORE, DATA_STORE]);
+  const [summary, data] = await Promise.all([
+    promisifyRequest(transaction.objectStore(SUMMARY_STORE).get(id)),
+    promisifyRequest(transaction.objectStore(DATA_STORE).get(id))
+  ]);
+
+  if (!summary || !data) {
+    throw new Error('This chat is no longer in the library.');
+  }
+
+  return {
+    summary,
+    rows: data.rows,
+    stats: data.stats,
+    // Chats saved before group events were recognized have none
+    events: data.events || [],
+    media: deserializeMedia(data.media),
+    participantSettings: data.participantSettings,
+    textSettings: data.textSettings,
+    timeSettings: data.timeSettings
+  };
+};
+
+// Loads only the stats of a saved chat, e.g. to compare several chats
+// without creating object URLs for all of their media
+export const loadChatStats = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SUMMARY_STORE, DATA_STORE]);
+  const [summary, data] = await Promise.all([
+    promisifyRequest(transaction.objectStore(SUMMARY_STORE).get(id)),
+    promisifyRequest(transaction.objectStore(DATA_STORE).get(id))
+  ]);
+
+  if (!summary || !data) {
+    throw new Error('This chat is no longer in the library.');
+  }
+
+  return { summary, stats: data.stats };
+};
+
+export const renameChat = async (id, name) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SUMMARY_STORE, 'readwrite');
+  const store = transaction.objectStore(SUMMARY_STORE);
+  const summary = await promisifyRequest(store.get(id));
+  store.put({ ...summary, name });
+  await promisifyTransaction(transaction);
+};
+
+// Merges new values into a saved chat, e.g. recomputed stats and settings.
+// summaryFields updates the library entry (such as participantCount) at the same time.
+// media, when given, replaces all of the chat's media.
+export const updateChat = async (id, dataFields, summaryFields = {}) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+  const summaryStore = transaction.objectStore(SUMMARY_STORE);
+  const dataStore = transaction.objectStore(DATA_STORE);
+
+  const [summary, data] = await Promise.all([
+    promisifyRequest(summaryStore.get(id)),
+    promisifyRequest(dataStore.get(id))
+  ]);
+  if (!summary || !data) {
+    throw new Error('This chat is no longer in the library.');
+  }
+
+  const updatedSummary = { ...summary, ...summaryFields };
+  summaryStore.put(updatedSummary);
+  dataStore.put(dataFields.media
+    ? { ...data, ...dataFields, media: serializeMedia(dataFields.media) }
+    : { ...data, ...dataFields });
+  await promisifyTransaction(transaction);
+
+  return updatedSummary;
+};
+
+export const deleteChat = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+  transaction.objectStore(SUMMARY_STORE).delete(id);
+  transaction.objectStore(DATA_STORE).delete(id);
+  await promisifyTransaction(transaction);
+};
+
+// Derives a readable chat name from the export's file name, e.g.
+// "WhatsApp Chat with Family.zip" → "Family"
+export const chatNameFromFile = (fileName) => fileName
+  .replace(/\.(zip|txt|csv)$/i, '')
+  .replace(/^WhatsApp Chat (with|-)\s*/i, '')
+  .trim() || 'WhatsApp Chat';
@@ -0,0 +1,25 @@
+// Saved CSV column mappings ({ name, mapping }), kept in localStorage so
+// repeated imports from the same converter are mapped automatically.
+
+const STORAGE_KEY = 'csvMappingPresets';
+
+export const listPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Saves a preset, replacing one with the same name. Returns the new list.
+export const savePreset = (name, mapping) => {
+  const presets = [{ name, mapping }, ...listPresets().filter(preset => preset.name !== name)];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+};
+
+export const deletePreset = (name) => {
+  const presets = listPresets().filter(preset => preset.name !== name);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+};
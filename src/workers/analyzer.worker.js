@@ -0,0 +1,214 @@
+/* eslint-disable no-restricted-globals */
+import Papa from 'papaparse';
+import { parseWhatsAppText, detectPlatform } from '../parsing/whatsappText';
+import { detectDateFormat, applyDateFormat, zonedColumns } from '../parsing/dateFormat';
+import { extractAttachment } from '../parsing/mediaAttachments';
+import { calculateStats } from '../analytics/calculateStats';
+import { calculateConversationStats } from '../analytics/conversationStats';
+import { calculateProfile } from '../analytics/participantProfile';
+import { calculateInteractions } from '../analytics/interactions';
+import { mergeChatRows } from '../parsing/mergeExports';
+import { decodeText } from '../parsing/textDecoding';
+import { validateEntries, removeDuplicateRows } from '../parsing/importValidation';
+import { pickMapping, missingFields, mapCsvRows } from '../parsing/columnMapping';
+import { splitGroupEvents } from '../parsing/groupEvents';
+
+// Parsing and statistics run here so large chats never block the UI.
+// The raw entries of the file being imported stay in the worker between
+// the parse, preview and analyze requests instead of being copied back and forth.
+
+// How many rejected and duplicate rows the import report lists
+const MAX_REPORTED_ROWS = 100;
+
+let entries = null;
+let rejected = [];
+let applied = null;
+// Rows and headers of a CSV being imported, kept to re-map its columns
+let csv = null;
+
+// Resolves { rows, headers, delimiter } with one object per row, keyed by header
+const parseCsv = (text, onProgress) => new Promise((resolve, reject) => {
+  const rows = [];
+  let headers = null;
+  let delimiter = null;
+
+  Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    chunkSize: 1024 * 1024,
+    chunk: (results) => {
+      headers = headers || results.meta.fields;
+      delimiter = delimiter || results.meta.delimiter;
+      results.data.forEach(row => rows.push(row));
+      onProgress(Math.min(results.meta.cursor / text.length, 1));
+    },
+    complete: () => resolve({ rows, headers: headers || [], delimiter }),
+    error: (error) => reject(new Error(`Error parsing CSV: ${error.message}`))
+  });
+});
+
+// Rows for a date format and time zones, cached so that analyzing right
+// after a preview does not parse every date twice. Rows that certainly repeat
+// earlier rows are dropped (see removeDuplicateRows).
+const applyFormat = (format, timeZones, onProgress) => {
+  const key = JSON.stringify([format, timeZones]);
+  if (!applied || applied.key !== key) {
+    const { rows, errors, dstAdjustments } = applyDateFormat(entries, format, onProgress, timeZones);
+    const { rows: unique, duplicates } = removeDuplicateRows(rows);
+    applied = { key, result: { rows: unique, errors, dstAdjustments, duplicates } };
+  }
+  return applied.result;
+};
+
+// The import report for a date format: how many rows are accepted, and
+// which were rejected or skipped and why
+const buildPreview = (format, timeZones, onProgress) => {
+  const { rows, errors, dstAdjustments, duplicates } = applyFormat(format, timeZones, onProgress);
+  const allRejected = rejected.concat(errors).sort((a, b) => a.line - b.line);
+  const { messages: chatRows, events } = splitGroupEvents(rows);
+  const messages = chatRows.filter(row => !row.system);
+  return {
+    totalRows: entries.length + rejected.length,
+    rowCount: messages.length,
+    eventCount: events.length,
+    systemCount: chatRows.length - messages.length,
+    sample: messages.slice(0, 10),
+    errorCount: allRejected.length,
+    errors: allRejected.slice(0, MAX_REPORTED_ROWS),
+    duplicateCount: duplicates.length,
+    duplicates: duplicates.slice(0, MAX_REPORTED_ROWS),
+    dstAdjustments: dstAdjustments.slice(0, 50),
+    dstAdjustmentCount: dstAdjustments.length
+  };
+};
+
+// Drops system messages and attaches media references (both "<attached: ...>"
+// and "(file attached)" styles). The id is the message's position in the
+// chronological transcript.
+const toMessages = (rows) => rows
+  .filter(row => !row.system)
+  .map(({ system, ...row }, index) => ({
+    ...row,
+    id: index,
+    attachment: extractAttachment(row.message)
+  }));
+
+// Checks the raw entries and detects their date format. Returns the
+// { detection, preview } part of the parse result.
+const prepareEntries = (rawEntries, timeZones, report) => {
+  ({ entries, rejected } = validateEntries(rawEntries));
+  applied = null;
+
+  if (entries.length === 0) {
+    throw new Error(rejected.length > 0
+      ? `None of the ${rejected.length} rows in the file could be imported (${rejected[0].reason.toLowerCase()} on line ${rejected[0].line}).`
+      : 'No messages were found in the file.');
+  }
+
+  const detection = detectDateFormat(entries);
+  return { detection, preview: buildPreview(detection.format, timeZones, report('Parsing dates')) };
+};
+
+// Maps the CSV's columns. Until sender, message and time are all mapped
+// there is nothing to preview, so detection and preview are null.
+const mapCsv = (mapping, preset, timeZones, report) => {
+  const source = { ...csv.source, mapping, preset, missingFields: missingFields(mapping) };
+  if (source.missingFields.length > 0) {
+    entries = null;
+    applied = null;
+    return { source, detection: null, preview: null };
+  }
+  return { source, ...prepareEntries(mapCsvRows(csv.rows, mapping), timeZones, report) };
+};
+
+const handlers = {
+  // Returns { source, detection, preview }. source describes the file
+  // ({ kind, encoding, delimiter, platform }, and for CSVs { headers, mapping,
+  // preset, missingFields }). presets are the saved column mappings.
+  parse: async ({ file, text, encoding, kind, timeZones, presets }, report) => {
+    const decoded = text !== undefined ? { text, encoding } : decodeText(await file.arrayBuffer());
+    csv = null;
+
+    if (kind === 'csv') {
+      const { rows, headers, delimiter } = await parseCsv(decoded.text, report('Reading rows'));
+      if (rows.length === 0) {
+        throw new Error('The CSV file has no rows.');
+      }
+      csv = { rows, source: { kind, encoding: decoded.encoding, delimiter, platform: null, headers } };
+      const { mapping, preset } = pickMapping(headers, presets);
+      return mapCsv(mapping, preset, timeZones, report);
+    }
+
+    const source = { kind, encoding: decoded.encoding, delimiter: null, platform: detectPlatform(decoded.text) };
+    return { source, ...prepareEntries(parseWhatsAppText(decoded.text, report('Reading messages')), timeZones, report) };
+  },
+
+  // Re-maps the columns of the CSV being imported
+  mapColumns: ({ mapping, preset = null, timeZones }, report) => mapCsv(mapping, preset, timeZones, report),
+
+  preview: ({ format, timeZones }, report) => buildPreview(format, timeZones, report('Parsing dates')),
+
+  // Returns { rows, stats, events }; group events are kept apart from the
+  // messages so they do not count in the statistics
+  analyze: ({ format, timeZones }, report) => {
+    const { rows } = applyFormat(format, timeZones, report('Parsing dates'));
+    const { messages: chatRows, events } = splitGroupEvents(rows);
+    const messages = toMessages(chatRows);
+    const stats = calculateStats(messages, report('Computing statistics'));
+
+    entries = null;
+    rejected = [];
+    applied = null;
+    csv = null;
+    return { rows: messages, stats, events };
+  },
+
+  // Merges the file being imported into an existing chat's rows. The new
+  // rows get the chat's display zone and date style; the import is kept
+  // until it is analyzed or replaced, so the user can still change the format.
+  // The chat's group events are merged the same way and returned as events.
+  merge: ({ existing, existingEvents = [], format, timeZones, display }, report) => {
+    const { rows } = applyFormat(format, timeZones, report('Parsing dates'));
+    const { messages, events } = splitGroupEvents(rows);
+    const toDisplay = (row) => Object.assign(row, zonedColumns(row.timestamp, display.timeZone, display.dateFormat));
+    const incoming = toMessages(messages).map(toDisplay);
+    return { ...mergeChatRows(existing, incoming), events: mergeChatRows(existingEvents, events.map(toDisplay)).rows };
+  },
+
+  // Recomputes the statistics for rows that changed after the import,
+  // e.g. when participants are merged or renamed
+  stats: ({ rows, textSettings }, report) => calculateStats(rows, report('Computing statistics'), textSettings),
+
+  // Shows already imported rows in another time zone. Chats saved before
+  // time zones were kept have no timestamp; their datetime is the instant.
+  timeZone: ({ rows, timeZone, format }) => rows.map(row => {
+    const timestamp = row.timestamp !== undefined ? row.timestamp : row.datetime.getTime();
+    return Object.assign({}, row, zonedColumns(timestamp, timeZone, format), { timestamp });
+  }),
+
+  // Sessions, reply times, silences and streaks for a silence gap in
+  // minutes, and who interacts with whom
+  conversations: ({ rows, gapMinutes }) => {
+    const conversations = calculateConversationStats(rows, gapMinutes);
+    return conversations && { ...conversations, interactions: calculateInteractions(rows, gapMinutes) };
+  },
+
+  // One participant's own statistics, or null when they sent nothing
+  profile: ({ rows, sender, textSettings, gapMinutes }, report) => (
+    calculateProfile(rows, sender, report('Building profile'), textSettings, gapMinutes)
+  )
+};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  const report = (stage) => (progress) => {
+    self.postMessage({ id, type: 'progress', stage, progress });
+  };
+
+  try {
+    const result = await handlers[type](payload, report);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
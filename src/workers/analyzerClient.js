@@ -0,0 +1,48 @@
+// Promise-based wrapper around analyzer.worker.js.
+//
+//   const analyzer = createAnalyzer();
+//   const result = await analyzer.request('parse', { file, kind }, ({ stage, progress }) => ...);
+//   analyzer.terminate(); // cancels everything in flight
+
+export const isCancelled = (error) => error.name === 'AbortError';
+
+export const createAnalyzer = () => {
+  const worker = new Worker(new URL('./analyzer.worker.js', import.meta.url));
+  const pending = {};
+  let nextId = 0;
+
+  worker.onmessage = (event) => {
+    const { id, type } = event.data;
+    const request = pending[id];
+    if (!request) return;
+
+    if (type === 'progress') {
+      request.onProgress({ stage: event.data.stage, progress: event.data.progress });
+      return;
+    }
+
+    delete pending[id];
+    if (type === 'error') {
+      request.reject(new Error(event.data.message));
+    } else {
+      request.resolve(event.data.result);
+    }
+  };
+
+  const request = (type, payload, onProgress = () => {}) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending[id] = { resolve, reject, onProgress };
+    worker.postMessage({ id, type, payload });
+  });
+
+  const terminate = () => {
+    worker.terminate();
+    Object.values(pending).forEach(({ reject }) => {
+      const error = new Error('Processing was cancelled.');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  };
+
+  return { request, terminate };
+};